@@ -3,15 +3,57 @@ const path = require('path');
 const fs = require('fs');
 const http = require('http');
 const https = require('https');
+const zlib = require('zlib');
+const dns = require('dns');
+const net = require('net');
+const tls = require('tls');
+const crypto = require('crypto');
+const { Worker } = require('worker_threads');
 const { URL } = require('url');
+const { pipeline } = require('stream');
 
 const CONFIG_SECTION = 'nodeHttpNginx';
 
 let statusBarItem;
+let reloadStatusBarItem;
 let outputChannel;
 let treeDataProvider;
-let nodeHttpServer;
+/** @type {{ server: net.Server, host: string, port: number, ssl: boolean, listener: object, tlsByServer: Map<object, object> }[]} */
+let nodeHttpServers = [];
 let sockets = new Set();
+// 运行中配置的 upstream 组，树视图据此展示各服务器的实时状态
+let nodeUpstreams = [];
+let treeRefreshTimer;
+// access_log 文件路径 -> 追加写入流
+let accessLogStreams = new Map();
+// 请求检查器：最近处理的请求、面板以及尚未推送到面板的新记录
+let inspectorRequests = [];
+let inspectorSeq = 0;
+let inspectorPanel;
+let inspectorPending = [];
+let inspectorFlushTimer;
+// 上游录制：进行中的录制会话；回放使用的 HAR 录制按文件修改时间缓存
+let recording = null;
+let replayCache = null;
+// auth_basic：htpasswd 文件缓存（路径 -> 修改时间与用户），以及校验通过的凭据摘要
+let htpasswdCache = new Map();
+let authBasicVerified = new Set();
+// htpasswd 校验 worker（首次需要校验时创建）与等待结果的请求（id -> Promise 回调）
+let htpasswdWorker = null;
+let htpasswdRequests = new Map();
+let htpasswdRequestId = 0;
+// nginx 配置诊断：集合、参与校验的文件以及编辑时的防抖定时器
+let configDiagnostics;
+let diagnosticFiles = new Set();
+let diagnosticTimer;
+let diagnosticRun = 0;
+// 侧边栏配置大纲的解析结果（Promise），配置变化时置空
+let configOutline;
+// 热重载：监视配置文件的 watcher、防抖定时器以及重载互斥标志
+let configWatchers = [];
+let configReloadTimer;
+let reloadInProgress = false;
+let reloadPending = false;
 
 /**
  * @description 常用文件的 MIME 类型映射表
@@ -80,6 +122,22 @@ function getNodeOverridePort() {
   return Number(getConfig().get('nodeOverridePort') || 0);
 }
 
+/**
+ * @description 获取证书缺失时是否自动生成自签名的 localhost 证书
+ * @returns {boolean}
+ */
+function getGenerateDevCertificate() {
+  return !!getConfig().get('generateDevCertificate');
+}
+
+/**
+ * @description 获取输出面板中请求日志的格式（text 或 json）
+ * @returns {string}
+ */
+function getRequestLogFormat() {
+  return String(getConfig().get('requestLogFormat') || 'text');
+}
+
 /**
  * @description 更新插件的运行状态（用于 UI 显示）
  * @param {string} nextState 状态值 ('running' | 'stopped')
@@ -204,6 +262,13 @@ function ensureStatusBarItem(context) {
     statusBarItem.command = 'nodeHttpNginx.nodeRestart';
     context.subscriptions.push(statusBarItem);
   }
+  if (!reloadStatusBarItem) {
+    reloadStatusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 99);
+    reloadStatusBarItem.command = 'nodeHttpNginx.nodeReload';
+    reloadStatusBarItem.text = '$(sync)';
+    reloadStatusBarItem.tooltip = '重载 nginx 配置（不断开现有连接）';
+    context.subscriptions.push(reloadStatusBarItem);
+  }
   return statusBarItem;
 }
 
@@ -214,70 +279,120 @@ function updateStatusBar() {
   if (!statusBarItem) return;
   const state = getConfig().get('nodeCurrentState') || 'stopped';
   if (state === 'running') {
-    statusBarItem.text = '$(zap) Nginx: Running';
+    const ports = nodeHttpServers.map(entry => entry.port);
+    statusBarItem.text = ports.length ? `$(zap) Nginx: ${ports.join(', ')}` : '$(zap) Nginx: Running';
     statusBarItem.color = new vscode.ThemeColor('charts.green');
-    statusBarItem.tooltip = '点击重启 Nginx 模拟服务';
+    statusBarItem.tooltip = [
+      ...nodeHttpServers.map(entry => `监听: ${formatListenAddress(entry.host, entry.port, entry.ssl)}`),
+      '点击重启 Nginx 模拟服务'
+    ].join('\n');
     statusBarItem.show();
+    if (reloadStatusBarItem) reloadStatusBarItem.show();
   } else {
     statusBarItem.hide();
+    if (reloadStatusBarItem) reloadStatusBarItem.hide();
   }
 }
 
 /**
- * @description 将 Nginx 配置文件内容解析为 Token 列表
+ * @description 格式化监听地址用于显示
+ * @param {string} host 主机地址
+ * @param {number} port 端口
+ * @param {boolean} [ssl] 是否为 HTTPS 监听
+ * @returns {string}
+ */
+function formatListenAddress(host, port, ssl) {
+  const h = host.includes(':') ? `[${host}]` : host;
+  return `${ssl ? 'https' : 'http'}://${h}:${port}`;
+}
+
+/**
+ * @description 将 Nginx 配置文件内容解析为 Token 列表，每个 token 带有起止位置（行列均从 0 开始）
  * @param {string} text 配置内容
- * @returns {string[]}
+ * @param {object[]} [problems] 收集语法问题（如未闭合的引号）
+ * @param {string} [file] 来源文件，记录在问题上
+ * @returns {{ value: string, quoted: boolean, line: number, col: number, endLine: number, endCol: number }[]}
  */
-function tokenizeNginxConf(text) {
+function tokenizeNginxConf(text, problems, file) {
   const tokens = [];
   let i = 0;
+  let line = 0;
+  let col = 0;
   let current = '';
   let quote = null;
+  // 记录当前 token 是否带引号，使 "" 这样的空字符串参数也能保留下来
+  let quoted = false;
+  /** @type {{ line: number, col: number } | null} */
+  let start = null;
+  function advance(n) {
+    for (let k = 0; k < n; k++) {
+      if (text[i] === '\n') {
+        line += 1;
+        col = 0;
+      } else {
+        col += 1;
+      }
+      i += 1;
+    }
+  }
+  function markStart() {
+    if (!start) start = { line, col };
+  }
   function pushCurrent() {
-    if (!current) return;
-    tokens.push(current);
+    if (!current && !quoted) return;
+    tokens.push({ value: current, quoted, line: start.line, col: start.col, endLine: line, endCol: col });
     current = '';
+    quoted = false;
+    start = null;
   }
   while (i < text.length) {
     const ch = text[i];
     if (quote) {
       if (ch === quote) {
         quote = null;
-        i += 1;
+        advance(1);
         continue;
       }
       if (ch === '\\' && i + 1 < text.length) {
-        current += text[i + 1];
-        i += 2;
+        // 与 nginx 一致：只转义引号和反斜杠，其余保留原样（如正则中的 \d）
+        const next = text[i + 1];
+        current += (next === quote || next === '\\') ? next : ch + next;
+        advance(2);
         continue;
       }
       current += ch;
-      i += 1;
+      advance(1);
       continue;
     }
     if (ch === '"' || ch === "'") {
+      markStart();
       quote = ch;
-      i += 1;
+      quoted = true;
+      advance(1);
       continue;
     }
     if (ch === '#') {
       pushCurrent();
-      while (i < text.length && text[i] !== '\n') i += 1;
+      while (i < text.length && text[i] !== '\n') advance(1);
       continue;
     }
     if (/\s/.test(ch)) {
       pushCurrent();
-      i += 1;
+      advance(1);
       continue;
     }
     if (ch === '{' || ch === '}' || ch === ';') {
       pushCurrent();
-      tokens.push(ch);
-      i += 1;
+      tokens.push({ value: ch, quoted: false, line, col, endLine: line, endCol: col + 1 });
+      advance(1);
       continue;
     }
+    markStart();
     current += ch;
-    i += 1;
+    advance(1);
+  }
+  if (quote && problems && start) {
+    problems.push({ file, line: start.line, col: start.col, endLine: start.line, endCol: start.col + 1, severity: 'error', message: `引号 ${quote} 未闭合` });
   }
   pushCurrent();
   return tokens;
@@ -285,53 +400,74 @@ function tokenizeNginxConf(text) {
 
 /**
  * @description 将 Token 列表解析为抽象语法树 (AST)
- * @param {string[]} tokens
+ * 每个节点记录来源文件以及从指令名到最后一个参数的位置范围
+ * @param {object[]} tokens tokenizeNginxConf 的结果
+ * @param {string} [file] 来源文件，记录在每个节点的 file 字段上
+ * @param {object[]} [problems] 收集语法问题（缺少分号、括号不匹配等）
  * @returns {object[]}
  */
-function parseNginxTokens(tokens) {
+function parseNginxTokens(tokens, file, problems) {
   let idx = 0;
-  function parseBlock() {
+  const isPunct = (t, ch) => !!t && !t.quoted && t.value === ch;
+  const report = (from, to, message) => {
+    if (problems) {
+      problems.push({ file, line: from.line, col: from.col, endLine: to.endLine, endCol: to.endCol, severity: 'error', message });
+    }
+  };
+  function parseBlock(opener) {
     const items = [];
     while (idx < tokens.length) {
       const t = tokens[idx];
-      if (t === '}') {
+      if (isPunct(t, '}')) {
         idx += 1;
-        break;
+        if (!opener) {
+          report(t, t, '多余的 "}"');
+          continue;
+        }
+        return items;
       }
       const parts = [];
       while (idx < tokens.length) {
         const cur = tokens[idx];
-        if (cur === ';' || cur === '{' || cur === '}') break;
+        if (isPunct(cur, ';') || isPunct(cur, '{') || isPunct(cur, '}')) break;
         parts.push(cur);
         idx += 1;
       }
       const end = tokens[idx];
       if (!parts.length) {
+        report(end, end, `意外的 "${end.value}"`);
         idx += 1;
         continue;
       }
-      const name = parts[0];
-      const args = parts.slice(1);
-      if (end === ';') {
+      const last = parts[parts.length - 1];
+      const node = {
+        name: parts[0].value,
+        args: parts.slice(1).map(p => p.value),
+        file,
+        line: parts[0].line,
+        col: parts[0].col,
+        endLine: last.endLine,
+        endCol: last.endCol
+      };
+      if (isPunct(end, ';')) {
         idx += 1;
-        items.push({ type: 'directive', name, args });
+        items.push({ type: 'directive', ...node });
         continue;
       }
-      if (end === '{') {
+      if (isPunct(end, '{')) {
         idx += 1;
-        const children = parseBlock();
-        items.push({ type: 'block', name, args, children });
-        continue;
-      }
-      if (end === '}') {
-        items.push({ type: 'directive', name, args });
+        const children = parseBlock(parts[0]);
+        items.push({ type: 'block', ...node, children });
         continue;
       }
-      idx += 1;
+      // 遇到 } 或文件结束：指令缺少分号
+      report(parts[0], last, `指令 "${node.name}" 缺少结尾的 ";"`);
+      items.push({ type: 'directive', ...node });
     }
+    if (opener) report(opener, opener, `块 "${opener.value}" 缺少对应的 "}"`);
     return items;
   }
-  return parseBlock();
+  return parseBlock(null);
 }
 
 /**
@@ -355,593 +491,5914 @@ function findDirectives(ast, name) {
 }
 
 /**
- * @description 解析 listen 指令中的端口号
- * @param {string[]} args 指令参数
- * @returns {number}
+ * @description 将 glob 中的单段路径模式转换为正则
+ * @param {string} segment 路径段（可含 * ? [...]）
+ * @returns {RegExp}
  */
-function parseListenPort(args) {
-  if (!Array.isArray(args) || !args.length) return 80;
-  const s = String(args[0]);
-  const m = s.match(/:(\d+)$/);
-  if (m) return parseInt(m[1], 10);
-  if (/^\d+$/.test(s)) return parseInt(s, 10);
-  return 80;
+function globSegmentToRegExp(segment) {
+  let re = '';
+  for (let i = 0; i < segment.length; i += 1) {
+    const ch = segment[i];
+    if (ch === '*') {
+      re += '.*';
+    } else if (ch === '?') {
+      re += '.';
+    } else if (ch === '[') {
+      const close = segment.indexOf(']', i + 1);
+      if (close === -1) {
+        re += '\\[';
+      } else {
+        re += '[' + segment.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+        i = close;
+      }
+    } else {
+      re += ch.replace(/[.+^${}()|\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}$`, process.platform === 'win32' ? 'i' : '');
 }
 
 /**
- * @description 解析 index 指令中的默认文件列表
- * @param {string[]} args 指令参数
- * @returns {string[]}
+ * @description 展开 include 的 glob 模式，结果按字母顺序排列（与 nginx 一致）
+ * @param {string} pattern 绝对路径模式
+ * @returns {Promise<string[]>}
  */
-function parseIndexList(args) {
-  if (!Array.isArray(args) || !args.length) return ['index.html', 'index.htm'];
-  return args.map(s => String(s || '').trim()).filter(Boolean);
-}
+async function expandIncludeGlob(pattern) {
+  const root = path.parse(pattern).root;
+  const segments = pattern.slice(root.length).split(/[\\/]+/).filter(Boolean);
+  let candidates = [root];
+  for (const segment of segments) {
+    const next = [];
+    if (!/[*?[]/.test(segment)) {
+      for (const dir of candidates) next.push(path.join(dir, segment));
+    } else {
+      const re = globSegmentToRegExp(segment);
+      for (const dir of candidates) {
+        let names = [];
+        try {
+          names = await fs.promises.readdir(dir);
+        } catch {
+          continue;
+        }
+        names
+          .filter(n => re.test(n) && (segment.startsWith('.') || !n.startsWith('.')))
+          .sort()
+          .forEach(n => next.push(path.join(dir, n)));
+      }
+    }
+    candidates = next;
+  }
 
-/**
- * @description 解析 try_files 指令中的路径
- * @param {string[]} args 指令参数
- * @returns {string[] | null}
- */
-function parseTryFiles(args) {
-  if (!Array.isArray(args) || !args.length) return null;
-  const out = args.map(s => String(s || '').trim()).filter(Boolean);
-  return out.length ? out : null;
+  const files = [];
+  for (const p of candidates) {
+    try {
+      if ((await fs.promises.stat(p)).isFile()) files.push(p);
+    } catch {
+      // 不存在的匹配项直接忽略
+    }
+  }
+  return files;
 }
 
 /**
- * @description 从 AST 构建简化的服务器配置
- * @param {object[]} ast
- * @param {string} configFilePath
- * @param {string} baseDir
- * @returns {object | null}
+ * @description 读取配置文件并递归内联 include 指令，生成完整的 AST
+ * 相对路径基于主配置文件所在目录解析，与 nginx 的 conf 目录语义一致
+ * 语法错误、include 循环和缺失的 include 都以带位置的问题记录在 problems 中
+ * @param {string} configPath 主配置文件路径
+ * @param {{ readText?: (file: string) => Promise<string> }} [options] readText 可替换文件读取（如使用编辑器中未保存的内容）
+ * @returns {Promise<{ ast: object[], files: string[], warnings: string[], problems: object[] }>}
  */
-function buildNodeServerConfigFromAst(ast, configFilePath, baseDir) {
-  const httpBlock = findBlocks(ast, 'http')[0];
-  if (!httpBlock) return null;
-  const server = findBlocks(httpBlock.children || [], 'server')[0];
-  if (!server) return null;
+async function loadNginxConfig(configPath, options = {}) {
+  const confDir = path.dirname(configPath);
+  const readText = options.readText || (file => fs.promises.readFile(file, 'utf8'));
+  const files = [];
+  const warnings = [];
+  const problems = [];
+  const reportAt = (node, severity, message) => problems.push({
+    file: node.file,
+    line: node.line,
+    col: node.col,
+    endLine: node.endLine,
+    endCol: node.endCol,
+    severity,
+    message
+  });
 
-  const listenDir = findDirectives(server.children || [], 'listen')[0];
-  const serverRootDir = findDirectives(server.children || [], 'root')[0];
-  const serverIndexDir = findDirectives(server.children || [], 'index')[0];
+  async function loadFile(filePath, stack) {
+    const resolved = path.resolve(filePath);
+    const text = await readText(resolved);
+    if (!files.includes(resolved)) files.push(resolved);
+    const ast = parseNginxTokens(tokenizeNginxConf(text, problems, resolved), resolved, problems);
+    return expandIncludes(ast, [...stack, resolved]);
+  }
 
-  const listenPort = parseListenPort(listenDir?.args);
-  const serverRoot = serverRootDir?.args?.[0] ? path.resolve(baseDir, String(serverRootDir.args[0])) : baseDir;
-  const serverIndex = serverIndexDir ? parseIndexList(serverIndexDir?.args) : ['index.html', 'index.htm'];
-
-  const locations = [];
-  for (const block of findBlocks(server.children || [], 'location')) {
-    const args = Array.isArray(block.args) ? block.args.map(String) : [];
-    const modifier = args[0] || '';
-    let kind = 'prefix';
-    let matcherValue = '/';
-    let flags = '';
-    let noRegex = false;
-
-    if (modifier === '=') {
-      kind = 'exact';
-      matcherValue = args[1] || '/';
-    } else if (modifier === '~' || modifier === '~*') {
-      kind = 'regex';
-      matcherValue = args[1] || '';
-      flags = modifier === '~*' ? 'i' : '';
-    } else if (modifier === '^~') {
-      kind = 'prefix';
-      matcherValue = args[1] || '/';
-      noRegex = true;
-    } else {
-      kind = 'prefix';
-      matcherValue = args[0] || '/';
-    }
-
-    locations.push({
-      kind,
-      matcher: matcherValue,
-      noRegex,
-      regex: kind === 'regex' ? new RegExp(matcherValue, flags) : null,
-      proxyPass: findDirectives(block.children || [], 'proxy_pass')[0]?.args?.[0],
-      root: findDirectives(block.children || [], 'root')[0]?.args?.[0],
-      alias: findDirectives(block.children || [], 'alias')[0]?.args?.[0],
-      index: parseIndexList(findDirectives(block.children || [], 'index')[0]?.args),
-      tryFiles: parseTryFiles(findDirectives(block.children || [], 'try_files')[0]?.args)
-    });
+  async function expandIncludes(nodes, stack) {
+    const out = [];
+    for (const node of nodes) {
+      if (node.type === 'block') {
+        node.children = await expandIncludes(node.children || [], stack);
+        out.push(node);
+        continue;
+      }
+      if (node.name !== 'include') {
+        out.push(node);
+        continue;
+      }
+
+      const raw = String(node.args?.[0] || '');
+      const pattern = path.resolve(confDir, raw);
+      const targets = /[*?[]/.test(raw) ? await expandIncludeGlob(pattern) : [pattern];
+      for (const target of targets) {
+        if (stack.includes(target)) {
+          reportAt(node, 'error', `检测到 include 循环: ${[...stack, target].join(' -> ')}`);
+          continue;
+        }
+        try {
+          await fs.promises.access(target);
+        } catch {
+          warnings.push(`include 文件不存在: ${target}（位于 ${node.file}:${node.line + 1}）`);
+          reportAt(node, 'warning', `include 文件不存在: ${target}`);
+          continue;
+        }
+        out.push(...await loadFile(target, stack));
+      }
+    }
+    return out;
   }
 
-  return { listenPort, serverRoot, serverIndex, locations };
+  const ast = await loadFile(configPath, []);
+  return { ast, files, warnings, problems };
 }
 
 /**
- * @description 根据请求路径匹配最合适的 Location
- * @param {object} cfg 服务器配置
- * @param {string} pathname 请求路径
- * @returns {object | null}
+ * @description 把配置问题格式化为 file:line:col 形式（行列从 1 开始）
+ * @param {{ file: string, line: number, col: number, message: string }} problem
+ * @returns {string}
  */
-function pickLocation(cfg, pathname) {
-  const locations = Array.isArray(cfg.locations) ? cfg.locations : [];
-  
-  // 1. 精确匹配
-  const exact = locations.filter(l => l.kind === 'exact' && l.matcher === pathname);
-  if (exact.length) return exact[0];
+function formatConfigProblem(problem) {
+  return `${problem.file}:${problem.line + 1}:${problem.col + 1} ${problem.message}`;
+}
+
+/**
+ * @description 已知指令表：名称、允许的上下文、参数个数及是否为块
+ * 上下文：m=main e=events h=http s=server l=location u=upstream i=if x=limit_except
+ * 参数：N、N-M、N+ 或 flag（on/off）；block 表示块指令，raw 表示块内容不按指令校验（如 map、types）
+ * name@上下文 用于同名指令在不同上下文中的不同形式（如 upstream 中的 server）
+ */
+const NGINX_DIRECTIVE_TABLE = `
+user                          m      1-2
+worker_processes              m      1
+worker_rlimit_nofile          m      1
+worker_cpu_affinity           m      1+
+worker_priority               m      1
+pid                           m      1
+daemon                        m      flag
+master_process                m      flag
+load_module                   m      1
+env                           m      1
+pcre_jit                      m      flag
+error_log                     mhsl   1+
+include                       mehslux 1
+events                        m      0     block
+worker_connections            e      1
+use                           e      1
+multi_accept                  e      flag
+accept_mutex                  e      flag
+accept_mutex_delay            e      1
+http                          m      0     block
+stream                        m      0     raw
+mail                          m      0     raw
+server                        h      0     block
+server@upstream               u      1+
+upstream                      h      1     block
+location                      sl     1-2   block
+if                            sl     1+    block
+limit_except                  l      1+    block
+map                           h      2     raw
+geo                           h      1-2   raw
+split_clients                 h      2     raw
+types                         hsl    0     raw
+listen                        s      1+
+server_name                   s      1+
+root                          hsli   1
+alias                         l      1
+index                         hsl    1+
+try_files                     sl     2+
+return                        sli    1-2
+rewrite                       sli    2-3
+break                         sli    0
+set                           sli    2
+internal                      l      0
+error_page                    hsli   2+
+default_type                  hsl    1
+charset                       hsli   1
+sendfile                      hsli   flag
+tcp_nopush                    hsl    flag
+tcp_nodelay                   hsl    flag
+keepalive_timeout             hslu   1-2
+keepalive_requests            hslu   1
+keepalive                     u      1
+client_max_body_size          hsl    1
+client_body_buffer_size       hsl    1
+client_body_timeout           hsl    1
+client_header_timeout         hs     1
+client_header_buffer_size     hs     1
+large_client_header_buffers   hs     2
+send_timeout                  hsl    1
+server_tokens                 hsl    1
+server_names_hash_bucket_size h      1
+server_names_hash_max_size    h      1
+types_hash_bucket_size        hsl    1
+types_hash_max_size           hsl    1
+variables_hash_bucket_size    h      1
+variables_hash_max_size       h      1
+port_in_redirect              hsl    flag
+absolute_redirect             hsl    flag
+server_name_in_redirect       hsl    flag
+merge_slashes                 hs     flag
+underscores_in_headers        hs     flag
+ignore_invalid_headers        hs     flag
+chunked_transfer_encoding     hsl    flag
+log_not_found                 hsl    flag
+log_subrequest                hsl    flag
+rewrite_log                   hsli   flag
+uninitialized_variable_warn   hsli   flag
+open_file_cache               hsl    1-2
+open_file_cache_valid         hsl    1
+open_file_cache_errors        hsl    flag
+resolver                      hslu   1+
+resolver_timeout              hslu   1
+autoindex                     hsl    flag
+autoindex_exact_size          hsl    flag
+autoindex_format              hsl    1
+autoindex_localtime           hsl    flag
+etag                          hsl    flag
+expires                       hsli   1-2
+add_header                    hsli   2-3
+access_log                    hslix  1+
+log_format                    h      2+
+allow                         hslx   1
+deny                          hslx   1
+satisfy                       hsl    1
+auth_basic                    hslx   1
+auth_basic_user_file          hslx   1
+auth_request                  hsl    1
+limit_req                     hsl    1-3
+limit_req_zone                h      3-4
+limit_conn                    hsl    2
+limit_conn_zone               h      2
+valid_referers                sl     1+
+real_ip_header                hsl    1
+set_real_ip_from              hsl    1
+sub_filter                    hsl    2
+sub_filter_once               hsl    flag
+sub_filter_types              hsl    1+
+ssi                           hsli   flag
+gzip                          hsli   flag
+gzip_comp_level               hsl    1
+gzip_min_length               hsl    1
+gzip_types                    hsl    1+
+gzip_proxied                  hsl    1+
+gzip_vary                     hsl    flag
+gzip_static                   hsl    1
+gzip_http_version             hsl    1
+gzip_disable                  hsl    1+
+gzip_buffers                  hsl    2
+brotli_static                 hsl    1
+proxy_pass                    lix    1
+proxy_set_header              hsl    2
+proxy_hide_header             hsl    1
+proxy_pass_header             hsl    1
+proxy_ignore_headers          hsl    1+
+proxy_redirect                hsl    1-2
+proxy_cookie_domain           hsl    1-2
+proxy_cookie_path             hsl    1-2
+proxy_http_version            hsl    1
+proxy_connect_timeout         hsl    1
+proxy_read_timeout            hsl    1
+proxy_send_timeout            hsl    1
+proxy_next_upstream           hsl    1+
+proxy_next_upstream_tries     hsl    1
+proxy_next_upstream_timeout   hsl    1
+proxy_buffering               hsl    flag
+proxy_request_buffering       hsl    flag
+proxy_buffer_size             hsl    1
+proxy_buffers                 hsl    2
+proxy_busy_buffers_size       hsl    1
+proxy_intercept_errors        hsl    flag
+proxy_pass_request_headers    hsl    flag
+proxy_pass_request_body       hsl    flag
+proxy_set_body                hsl    1
+proxy_ssl_verify              hsl    flag
+proxy_ssl_server_name         hsl    flag
+proxy_ssl_name                hsl    1
+ssl_certificate               hs     1
+ssl_certificate_key           hs     1
+ssl_protocols                 hs     1+
+ssl_ciphers                   hs     1
+ssl_prefer_server_ciphers     hs     flag
+ssl_session_cache             hs     1+
+ssl_session_timeout           hs     1
+ssl_session_tickets           hs     flag
+ssl_stapling                  hs     flag
+ssl_stapling_verify           hs     flag
+ssl_dhparam                   hs     1
+ssl_trusted_certificate       hs     1
+ssl_ecdh_curve                hs     1
+hash                          u      1-2
+ip_hash                       u      0
+least_conn                    u      0
+random                        u      0-2
+zone                          u      1-2
+`.trim().split('\n').reduce((table, row) => {
+  const [name, contexts, args, kind] = row.trim().split(/\s+/);
+  const m = (args === 'flag' ? '1' : args).match(/^(\d+)(?:(\+)|-(\d+))?$/);
+  const min = parseInt(m[1], 10);
+  const max = m[2] ? Infinity : m[3] ? parseInt(m[3], 10) : min;
+  table.set(name, { contexts, min, max, flag: args === 'flag', block: !!kind, raw: kind === 'raw' });
+  return table;
+}, new Map());
+
+/**
+ * @description 上下文代号对应的中文名称，用于诊断信息
+ */
+const NGINX_CONTEXT_NAMES = { m: 'main', e: 'events', h: 'http', s: 'server', l: 'location', u: 'upstream', i: 'if', x: 'limit_except' };
+
+/**
+ * @description 对 AST 做语义校验：未知指令、上下文错误、参数个数、块/非块不匹配以及无效正则
+ * 问题以带位置的对象追加到 problems，格式与语法问题一致
+ * @param {object[]} ast loadNginxConfig 得到的 AST
+ * @param {object[]} problems 问题列表
+ */
+function validateNginxAst(ast, problems) {
+  const report = (node, severity, message) => problems.push({
+    file: node.file,
+    line: node.line,
+    col: node.col,
+    endLine: node.endLine,
+    endCol: node.endCol,
+    severity,
+    message
+  });
+  const checkRegex = (node, source, flags) => {
+    try {
+      compileConfigRegex(source, flags, node);
+    } catch (e) {
+      report(node, 'error', `正则无效: ${e.message.replace(/^.*中的正则无效: /, '')}`);
+    }
+  };
 
-  // 2. 前缀匹配
-  const prefixes = locations
-    .filter(l => l.kind === 'prefix' && typeof l.matcher === 'string' && pathname.startsWith(l.matcher))
-    .sort((a, b) => b.matcher.length - a.matcher.length);
+  function checkNode(node, context) {
+    const spec = NGINX_DIRECTIVE_TABLE.get(`${node.name}@${NGINX_CONTEXT_NAMES[context]}`) || NGINX_DIRECTIVE_TABLE.get(node.name);
+    const args = (node.args || []).map(String);
+    if (!spec) {
+      report(node, 'warning', `未知指令 "${node.name}"`);
+      return;
+    }
+    if (!spec.contexts.includes(context)) {
+      const allowed = [...spec.contexts].map(c => NGINX_CONTEXT_NAMES[c]).join('、');
+      report(node, 'error', `指令 "${node.name}" 不能出现在 ${NGINX_CONTEXT_NAMES[context]} 中（允许：${allowed}）`);
+    } else if (spec.block !== (node.type === 'block')) {
+      report(node, 'error', spec.block ? `"${node.name}" 是块指令，需要 { ... }` : `"${node.name}" 不是块指令，应以 ";" 结尾`);
+    } else if (args.length < spec.min || args.length > spec.max) {
+      const expected = spec.max === Infinity ? `至少 ${spec.min} 个` : spec.min === spec.max ? `${spec.min} 个` : `${spec.min}-${spec.max} 个`;
+      report(node, 'error', `指令 "${node.name}" 的参数个数错误：需要 ${expected}，实际 ${args.length} 个`);
+    } else if (spec.flag && args[0] !== 'on' && args[0] !== 'off') {
+      report(node, 'error', `指令 "${node.name}" 的值必须是 on 或 off`);
+    }
 
-  const bestPrefix = prefixes.length ? prefixes[0] : null;
-  if (bestPrefix?.noRegex) return bestPrefix;
+    if (node.name === 'location' && args.length === 2) {
+      if (!['=', '~', '~*', '^~'].includes(args[0])) {
+        report(node, 'error', `无效的 location 修饰符 "${args[0]}"`);
+      } else if (args[0].startsWith('~')) {
+        checkRegex(node, args[1], args[0] === '~*' ? 'i' : '');
+      }
+    }
+    if (node.name === 'server_name') {
+      for (const name of args.filter(n => n.startsWith('~'))) checkRegex(node, name.slice(1), 'i');
+    }
+    if (node.name === 'rewrite' && args[0]) checkRegex(node, args[0], '');
+    if (node.name === 'if') {
+      // if ($var ~ regex) / if ($var ~* "regex")
+      const cond = args.join(' ').replace(/^\(|\)$/g, '').trim();
+      const m = cond.match(/^\S+\s+(!?~\*?)\s+(.+)$/);
+      if (m) checkRegex(node, m[2], m[1].endsWith('*') ? 'i' : '');
+    }
 
-  // 3. 正则匹配
-  for (const l of locations) {
-    if (l.kind === 'regex' && l.regex?.test(pathname)) return l;
+    if (node.type !== 'block') return;
+    if (spec.raw) {
+      if (node.name === 'map') {
+        for (const entry of node.children || []) {
+          if (entry.name.startsWith('~')) {
+            const caseless = entry.name.startsWith('~*');
+            checkRegex(entry, entry.name.slice(caseless ? 2 : 1), caseless ? 'i' : '');
+          }
+        }
+      }
+      return;
+    }
+    // if 与 limit_except 的内容按各自的上下文校验；其余块以自身名称作为子节点的上下文
+    const inner = { events: 'e', http: 'h', server: 's', location: 'l', upstream: 'u', if: 'i', limit_except: 'x' }[node.name];
+    for (const child of node.children || []) checkNode(child, inner || context);
   }
 
-  return bestPrefix;
+  for (const node of ast || []) checkNode(node, 'm');
 }
 
 /**
- * @description 安全地拼接路径，防止路径遍历漏洞
- * @param {string} rootDir 根目录
- * @param {string} requestPath 请求路径
- * @returns {string | null}
+ * @description 解析 listen 指令，得到监听地址、端口及附加参数
+ * @param {string[]} args 指令参数
+ * @returns {{ host: string, port: number, defaultServer: boolean, ssl: boolean }}
  */
-function safeJoin(rootDir, requestPath) {
-  const normalized = path.posix.normalize(String(requestPath || '/').replace(/\\/g, '/'));
-  const withoutLeading = normalized.replace(/^\/+/, '');
-  const candidate = path.resolve(rootDir, withoutLeading);
-  const rootResolved = path.resolve(rootDir);
-  
-  if (candidate.toLowerCase() === rootResolved.toLowerCase()) return candidate;
-  if (!candidate.toLowerCase().startsWith(rootResolved.toLowerCase() + path.sep)) {
-    return null;
+function parseListen(args) {
+  const list = Array.isArray(args) ? args.map(String) : [];
+  const first = list[0] || '';
+  let host = '';
+  let port = 80;
+  const m = first.match(/^(\[[^\]]+\]|[^:]+?)?(?::(\d+))?$/);
+  if (/^\d+$/.test(first)) {
+    port = parseInt(first, 10);
+  } else if (m) {
+    host = (m[1] || '').replace(/^\[|\]$/g, '');
+    if (m[2]) port = parseInt(m[2], 10);
   }
-  return candidate;
+  if (host === '*') host = '';
+  const flags = list.slice(1);
+  return {
+    host,
+    port,
+    defaultServer: flags.includes('default_server') || flags.includes('default'),
+    ssl: flags.includes('ssl')
+  };
 }
 
 /**
- * @description 代理请求到目标服务器
- * @param {http.IncomingMessage} clientReq 客户端请求
- * @param {http.ServerResponse} clientRes 客户端响应
- * @param {string} targetUrlStr 目标 URL 字符串
- * @param {vscode.OutputChannel} output 输出通道
+ * @description 编译配置中的正则，出错时在消息里标明来源文件
+ * @param {string} source 正则源码
+ * @param {string} flags 正则标志
+ * @param {object} node 所在的 AST 节点
+ * @returns {RegExp}
  */
-function proxyRequest(clientReq, clientRes, targetUrlStr, output) {
+function compileConfigRegex(source, flags, node) {
   try {
-    const targetUrl = new URL(targetUrlStr);
-    const isHttps = targetUrl.protocol === 'https:';
-    const requestLib = isHttps ? https : http;
-
-    const options = {
-      hostname: targetUrl.hostname,
-      port: targetUrl.port || (isHttps ? 443 : 80),
-      path: targetUrl.pathname + (targetUrl.search || ''),
-      method: clientReq.method,
-      headers: { ...clientReq.headers }
-    };
-
-    // 调整 Host 头
-    options.headers.host = targetUrl.host;
-    // 移除干扰头
-    delete options.headers.connection;
-    delete options.headers['content-length'];
-
-    output.appendLine(`[代理] 正向转发: ${clientReq.method} ${targetUrlStr}`);
+    return new RegExp(source, flags);
+  } catch (e) {
+    const where = node?.line === undefined ? '' : `:${node.line + 1}`;
+    throw new Error(`${node?.file || 'nginx.conf'}${where}: ${node?.name || ''} 中的正则无效: ${e.message}`);
+  }
+}
 
-    const proxyReq = requestLib.request(options, (proxyRes) => {
-      clientRes.writeHead(proxyRes.statusCode, proxyRes.headers);
-      proxyRes.pipe(clientRes);
-    });
+/**
+ * @description 解析 index 指令中的默认文件列表
+ * @param {string[]} args 指令参数
+ * @returns {string[]}
+ */
+function parseIndexList(args) {
+  if (!Array.isArray(args) || !args.length) return ['index.html', 'index.htm'];
+  return args.map(s => String(s || '').trim()).filter(Boolean);
+}
 
-    proxyReq.on('error', (err) => {
-      output.appendLine(`[代理错误] 请求失败: ${err.message}`);
-      if (!clientRes.headersSent) {
-        clientRes.writeHead(502, { 'Content-Type': 'text/plain' });
-        clientRes.end('502 Bad Gateway (Proxy Error)');
-      }
-    });
+/**
+ * @description 解析 try_files 指令中的路径
+ * @param {string[]} args 指令参数
+ * @returns {string[] | null}
+ */
+function parseTryFiles(args) {
+  if (!Array.isArray(args) || !args.length) return null;
+  const out = args.map(s => String(s || '').trim()).filter(Boolean);
+  return out.length ? out : null;
+}
 
-    // 转发请求体
-    clientReq.pipe(proxyReq);
+/**
+ * @description 解析某一层级的 add_header 指令
+ * nginx 规则：只要当前层级声明了 add_header，就完全替换上层继承来的集合，因此未声明时返回 null
+ * @param {object[]} children 所在层级的子节点
+ * @returns {{ name: string, value: string, always: boolean }[] | null}
+ */
+function parseAddHeaders(children) {
+  const dirs = findDirectives(children || [], 'add_header');
+  if (!dirs.length) return null;
+  return dirs
+    .filter(d => d.args?.length >= 2)
+    .map(d => ({
+      name: String(d.args[0]),
+      value: String(d.args[1]),
+      always: String(d.args[2] || '') === 'always'
+    }));
+}
 
-  } catch (err) {
-    output.appendLine(`[代理异常] 构建请求失败: ${err.message}`);
-    if (!clientRes.headersSent) {
-      clientRes.writeHead(500);
-      clientRes.end('500 Internal Server Error (Proxy)');
+/**
+ * @description 解析某一层级的 error_page 指令；与 nginx 一致，本层声明了任意 error_page 时不再继承上层
+ * @param {object[]} children 所在层级的子节点
+ * @param {Map<number, object>} [parent] 上层已解析的错误页面
+ * @returns {Map<number, { uri: string, status: number | null, useResponseStatus: boolean }>}
+ */
+function parseErrorPages(children, parent) {
+  const dirs = findDirectives(children || [], 'error_page');
+  if (!dirs.length) return parent || new Map();
+  const pages = new Map();
+  for (const d of dirs) {
+    const args = (d.args || []).map(String);
+    const uri = args.pop();
+    let status = null;
+    let useResponseStatus = false;
+    // =code 指定返回的状态码；单独的 = 表示使用错误页面自身的状态码
+    if (args.length && args[args.length - 1].startsWith('=')) {
+      const override = args.pop().slice(1);
+      if (override) status = parseInt(override, 10);
+      else useResponseStatus = true;
+    }
+    for (const arg of args) {
+      const code = parseInt(arg, 10);
+      if (code >= 300 && code <= 599) pages.set(code, { uri, status, useResponseStatus });
     }
   }
+  return pages;
 }
 
 /**
- * @description 停止正在运行的 Node 模拟服务
+ * @description 按出现顺序解析某一层级的 rewrite / return / break 指令
+ * @param {object[]} children 所在层级的子节点
+ * @returns {object[]}
  */
-async function nodeStop() {
-  try {
-    if (nodeHttpServer) {
-      // 强制关闭所有存活的连接，否则 server.close() 会等待连接自然关闭
-      if (sockets.size > 0) {
-        for (const socket of sockets) {
-          socket.destroy();
-        }
-        sockets.clear();
-      }
-
-      try {
-        nodeHttpServer.close();
-      } catch (e) {
-        console.error('停止服务器时出错:', e);
+function parseRewriteRules(children) {
+  const rules = [];
+  for (const node of children || []) {
+    if (node?.type !== 'directive') continue;
+    const args = (node.args || []).map(String);
+    if (node.name === 'rewrite' && args.length >= 2) {
+      rules.push({
+        type: 'rewrite',
+        regex: compileConfigRegex(args[0], '', node),
+        replacement: args[1],
+        flag: args[2] || ''
+      });
+    } else if (node.name === 'return' && args.length) {
+      if (/^\d+$/.test(args[0])) {
+        rules.push({ type: 'return', code: parseInt(args[0], 10), text: args[1] });
+      } else {
+        // return URL; 等价于 return 302 URL;
+        rules.push({ type: 'return', code: 302, text: args[0] });
       }
-      
-      nodeHttpServer = undefined;
-      await setNodeUiState('stopped');
-      updateStatusBar();
-      if (treeDataProvider) treeDataProvider.refresh();
-      vscode.window.showInformationMessage('Node Nginx 模拟服务已停止。');
+    } else if (node.name === 'break') {
+      rules.push({ type: 'break' });
     }
-  } catch (error) {
-    vscode.window.showErrorMessage(`停止服务时发生错误: ${error.message}`);
   }
+  return rules;
 }
 
 /**
- * @description 打开插件设置界面
+ * @description 解析 nginx 的大小写法（如 1k、10m），返回字节数
+ * @param {string} value 配置值
+ * @returns {number}
  */
-async function openSettings() {
-  await vscode.commands.executeCommand('workbench.action.openSettings', CONFIG_SECTION);
+function parseNginxSize(value) {
+  const m = String(value || '').trim().match(/^(\d+)([kKmMgG]?)$/);
+  if (!m) return 0;
+  const unit = { '': 1, k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024 }[m[2].toLowerCase()];
+  return parseInt(m[1], 10) * unit;
 }
 
 /**
- * @description 弹出对话框让用户手动选择 nginx.conf
+ * @description 解析 nginx 的时间写法（如 600、30s、500ms、1h30m、7d），返回毫秒；无单位按秒计
+ * @param {string} value 配置值
+ * @returns {number} 毫秒数，无法解析时返回 NaN
  */
-async function selectNodeConfig() {
-  const picked = await vscode.window.showOpenDialog({
-    canSelectFolders: false,
-    canSelectFiles: true,
-    canSelectMany: false,
-    openLabel: '选择 nginx.conf'
-  });
-  if (!picked?.length) return;
-  
-  const abs = picked[0].fsPath;
-  const saved = toWorkspaceRelativeIfPossible(abs);
-  await getConfig().update('nodeConfigPath', saved, vscode.ConfigurationTarget.Workspace);
-
-  const root = getWorkspaceRoot();
-  if (root) {
-    const rootLower = path.resolve(root).toLowerCase();
-    const fileLower = path.resolve(abs).toLowerCase();
-    if (fileLower.startsWith(rootLower + path.sep)) {
-      await getConfig().update('nodeBaseDir', '', vscode.ConfigurationTarget.Workspace);
-    } else {
-      await getConfig().update('nodeBaseDir', path.dirname(abs), vscode.ConfigurationTarget.Workspace);
-    }
+function parseNginxTime(value) {
+  const text = String(value || '').trim();
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000, M: 2592000000, y: 31536000000 };
+  const re = /(\d+)(ms|s|m|h|d|w|M|y)?/gy;
+  let total = 0;
+  let matched = 0;
+  let m;
+  while (re.lastIndex < text.length && (m = re.exec(text))) {
+    total += parseInt(m[1], 10) * units[m[2] || 's'];
+    matched = re.lastIndex;
+    while (text[re.lastIndex] === ' ') re.lastIndex += 1;
   }
-
-  if (treeDataProvider) treeDataProvider.refresh();
+  return text && matched === text.trimEnd().length ? total : NaN;
 }
 
 /**
- * @description 在编辑器中打开当前使用的 nginx.conf
+ * @description 解析 expires 指令参数
+ * @param {string[]} args 指令参数
+ * @returns {{ kind: string, ms: number } | null} off 时返回 null
  */
-async function openNodeConfig() {
-  const configPath = await resolveNodeConfigPath();
-  if (!configPath) {
-    vscode.window.showErrorMessage('未找到 nginx.conf（请先选择或设置 nodeHttpNginx.nodeConfigPath）。');
-    return;
+function parseExpires(args) {
+  const list = (args || []).map(String);
+  if (!list.length || list[0] === 'off') return null;
+  if (list[0] === 'epoch') return { kind: 'epoch', ms: 0 };
+  if (list[0] === 'max') return { kind: 'max', ms: 0 };
+  if (list[0] === 'modified') {
+    const ms = parseNginxTime(String(list[1] || '').replace(/^-/, ''));
+    return { kind: 'modified', ms: String(list[1] || '').startsWith('-') ? -ms : ms };
   }
-  return openFile(configPath);
+  if (list[0].startsWith('@')) return { kind: 'daily', ms: parseNginxTime(list[0].slice(1)) };
+  const negative = list[0].startsWith('-');
+  const ms = parseNginxTime(list[0].replace(/^-/, ''));
+  return Number.isNaN(ms) ? null : { kind: 'offset', ms: negative ? -ms : ms };
 }
 
 /**
- * @description 树视图中的项
+ * @description 解析某一层级与静态文件缓存相关的指令（etag、expires），未声明的项继承上层
+ * @param {object[]} children 所在层级的子节点
+ * @param {object} [parent] 上层已解析的配置
+ * @returns {{ etag: boolean, expires: { kind: string, ms: number } | null }}
  */
-class NginxItem extends vscode.TreeItem {
-  constructor(label, collapsibleState, meta) {
-    super(label, collapsibleState);
-    this.meta = meta;
-  }
+function parseCacheConf(children, parent) {
+  const etag = findDirectives(children || [], 'etag')[0];
+  const expires = findDirectives(children || [], 'expires')[0];
+  return {
+    etag: etag ? String(etag.args?.[0]) !== 'off' : (parent ? parent.etag : true),
+    expires: expires ? parseExpires(expires.args) : (parent?.expires || null)
+  };
 }
 
 /**
- * @description 树视图数据提供者，管理 UI 上的操作菜单
+ * @description 解析 autoindex 系列指令，未声明的项继承上一层
+ * @param {object[]} children 当前层的子节点
+ * @param {object | null} parent 上一层的 autoindex 配置
+ * @returns {{ enabled: boolean, format: string, exactSize: boolean, localtime: boolean }}
  */
-class NginxTreeDataProvider {
-  constructor() {
-    this._onDidChangeTreeData = new vscode.EventEmitter();
-    this.onDidChangeTreeData = this._onDidChangeTreeData.event;
-  }
+function parseAutoindexConf(children, parent) {
+  const flag = (name, fallback) => {
+    const dir = findDirectives(children || [], name)[0];
+    return dir ? String(dir.args?.[0]) === 'on' : fallback;
+  };
+  const format = findDirectives(children || [], 'autoindex_format')[0]?.args?.[0];
+  return {
+    enabled: flag('autoindex', parent ? parent.enabled : false),
+    format: format ? String(format) : (parent ? parent.format : 'html'),
+    exactSize: flag('autoindex_exact_size', parent ? parent.exactSize : true),
+    localtime: flag('autoindex_localtime', parent ? parent.localtime : false)
+  };
+}
+
+/**
+ * @description 解析 auth_basic 与 auth_basic_user_file，未声明的项继承上一层；用户文件相对于基础目录解析
+ * @param {object[]} children 当前层的子节点
+ * @param {object | null} parent 上一层的 auth_basic 配置
+ * @param {string} baseDir 基础目录
+ * @returns {{ realm: string | null, userFile: string | null }} realm 为 null 表示 auth_basic off
+ */
+function parseAuthBasicConf(children, parent, baseDir) {
+  const realm = findDirectives(children || [], 'auth_basic')[0]?.args?.[0];
+  const userFile = findDirectives(children || [], 'auth_basic_user_file')[0]?.args?.[0];
+  return {
+    realm: realm === undefined ? (parent ? parent.realm : null) : (String(realm) === 'off' ? null : String(realm)),
+    userFile: userFile === undefined ? (parent ? parent.userFile : null) : path.resolve(baseDir, String(userFile))
+  };
+}
+
+/**
+ * @description 按 expires 配置写入 Expires 与 Cache-Control 响应头
+ * @param {http.OutgoingHttpHeaders} headers 响应头
+ * @param {{ kind: string, ms: number } | null} expires expires 配置
+ * @param {number} statusCode 响应状态码
+ * @param {number} [mtimeMs] 文件修改时间，用于 expires modified
+ */
+function applyExpiresHeaders(headers, expires, statusCode, mtimeMs) {
+  if (!expires || !ADD_HEADER_STATUS_CODES.has(statusCode)) return;
+  for (const key of Object.keys(headers)) {
+    if (/^(expires|cache-control)$/i.test(key)) delete headers[key];
+  }
+  const now = Date.now();
+  if (expires.kind === 'epoch') {
+    headers['Expires'] = 'Thu, 01 Jan 1970 00:00:01 GMT';
+    headers['Cache-Control'] = 'no-cache';
+    return;
+  }
+  if (expires.kind === 'max') {
+    headers['Expires'] = 'Thu, 31 Dec 2037 23:55:55 GMT';
+    headers['Cache-Control'] = 'max-age=315360000';
+    return;
+  }
+  let at;
+  if (expires.kind === 'modified') {
+    at = (mtimeMs ?? now) + expires.ms;
+  } else if (expires.kind === 'daily') {
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+    at = today.getTime() + expires.ms;
+    if (at <= now) at += 86400000;
+  } else {
+    at = now + expires.ms;
+  }
+  headers['Expires'] = new Date(at).toUTCString();
+  const maxAge = Math.floor((at - now) / 1000);
+  headers['Cache-Control'] = expires.kind === 'offset' && expires.ms < 0 ? 'no-cache' : `max-age=${Math.max(0, maxAge)}`;
+}
+
+/**
+ * @description 解析某一层级的 gzip 相关指令，未声明的项继承上层
+ * @param {object[]} children 所在层级的子节点
+ * @param {object} [parent] 上层已解析的配置
+ * @returns {object}
+ */
+function parseGzipConf(children, parent) {
+  const own = (name) => findDirectives(children || [], name)[0]?.args?.map(String);
+  const gzip = own('gzip');
+  const gzipStatic = own('gzip_static');
+  const brotliStatic = own('brotli_static');
+  const types = own('gzip_types');
+  const minLength = own('gzip_min_length');
+  const level = own('gzip_comp_level');
+  const vary = own('gzip_vary');
+  const proxied = own('gzip_proxied');
+  return {
+    enabled: gzip ? gzip[0] === 'on' : !!parent?.enabled,
+    static: gzipStatic ? gzipStatic[0] : (parent?.static || 'off'),
+    brotliStatic: brotliStatic ? brotliStatic[0] : (parent?.brotliStatic || 'off'),
+    // text/html 总是会被压缩
+    types: types ? new Set(['text/html', ...types]) : (parent?.types || new Set(['text/html'])),
+    minLength: minLength ? parseNginxSize(minLength[0]) : (parent?.minLength ?? 20),
+    level: level ? Math.min(9, Math.max(1, parseInt(level[0], 10) || 1)) : (parent?.level ?? 1),
+    vary: vary ? vary[0] === 'on' : !!parent?.vary,
+    proxied: proxied || parent?.proxied || ['off']
+  };
+}
+
+/**
+ * @description 解析 http 层的 map 块，得到以目标变量名为键的映射表
+ * @param {object[]} children http 块的子节点
+ * @returns {Object<string, { source: string, entries: object[], defaultValue: string }>}
+ */
+function parseMapBlocks(children) {
+  /** @type {Object<string, { source: string, entries: object[], defaultValue: string }>} */
+  const maps = {};
+  for (const block of findBlocks(children || [], 'map')) {
+    const source = String(block.args?.[0] || '');
+    const target = String(block.args?.[1] || '').replace(/^\$/, '').toLowerCase();
+    if (!source || !target) continue;
+    const map = { source, entries: [], defaultValue: '' };
+    for (const node of block.children || []) {
+      if (node.type !== 'directive') continue;
+      const key = String(node.name);
+      const value = String(node.args?.[0] ?? '');
+      if (key === 'default') {
+        map.defaultValue = value;
+      } else if (key === 'hostnames' || key === 'volatile') {
+        continue;
+      } else if (key.startsWith('~')) {
+        const caseless = key.startsWith('~*');
+        map.entries.push({ regex: compileConfigRegex(key.slice(caseless ? 2 : 1), caseless ? 'i' : '', node), value });
+      } else {
+        map.entries.push({ key: key.replace(/^\\/, ''), value });
+      }
+    }
+    maps[target] = map;
+  }
+  return maps;
+}
+
+/**
+ * @description 解析 upstream 中单个 server 的地址：host:port、[IPv6]:port、省略端口时为 80，或 unix:/path
+ * @param {string} value 地址参数
+ * @returns {{ host: string, port: number, socketPath?: string }}
+ */
+function parseUpstreamAddress(value) {
+  if (value.startsWith('unix:')) return { host: 'localhost', port: 80, socketPath: value.slice(5) };
+  const m = value.match(/^\[([^\]]+)\](?::(\d+))?$/) || value.match(/^([^:]+)(?::(\d+))?$/);
+  if (!m) return { host: value, port: 80 };
+  return { host: m[1], port: m[2] ? parseInt(m[2], 10) : 80 };
+}
+
+/**
+ * @description 解析 http 层的 upstream 块，返回按名称索引的服务器组
+ * 每个服务器同时保存运行期状态（当前权重、活动连接、失败次数），供负载均衡与被动健康检查使用
+ * @param {object[]} children http 块的子节点
+ * @returns {Object<string, object>}
+ */
+function parseUpstreamBlocks(children) {
+  /** @type {Object<string, object>} */
+  const upstreams = {};
+  for (const block of findBlocks(children || [], 'upstream')) {
+    const name = String(block.args?.[0] || '');
+    if (!name) continue;
+    const group = { name, method: 'round_robin', hashKey: '', consistent: false, peers: [], ring: null, file: block.file, line: block.line };
+    for (const node of block.children || []) {
+      if (node.type !== 'directive') continue;
+      const args = (node.args || []).map(String);
+      if (node.name === 'least_conn' || node.name === 'ip_hash') {
+        group.method = node.name;
+      } else if (node.name === 'hash') {
+        group.method = 'hash';
+        group.hashKey = args[0] || '';
+        group.consistent = args[1] === 'consistent';
+      } else if (node.name === 'server' && args[0]) {
+        const peer = {
+          ...parseUpstreamAddress(args[0]),
+          name: args[0],
+          file: node.file,
+          line: node.line,
+          weight: 1,
+          maxFails: 1,
+          failTimeout: 10000,
+          maxConns: 0,
+          backup: false,
+          down: false,
+          // 运行期状态
+          currentWeight: 0,
+          active: 0,
+          requests: 0,
+          fails: 0,
+          checked: 0,
+          lastError: ''
+        };
+        for (const param of args.slice(1)) {
+          const [key, value = ''] = param.split('=');
+          if (key === 'weight') peer.weight = Math.max(1, parseInt(value, 10) || 1);
+          else if (key === 'max_fails') peer.maxFails = Math.max(0, parseInt(value, 10) || 0);
+          else if (key === 'fail_timeout') peer.failTimeout = parseNginxTime(value) || 0;
+          else if (key === 'max_conns') peer.maxConns = Math.max(0, parseInt(value, 10) || 0);
+          else if (key === 'backup') peer.backup = true;
+          else if (key === 'down') peer.down = true;
+        }
+        group.peers.push(peer);
+      }
+    }
+    upstreams[name] = group;
+  }
+  return upstreams;
+}
+
+/**
+ * @description 计算 map 变量的值：精确键优先，其次按出现顺序的正则，最后 default
+ * @param {{ source: string, entries: object[], defaultValue: string }} map 映射表
+ * @param {object} ctx 请求上下文
+ * @returns {string}
+ */
+function evaluateMap(map, ctx) {
+  const input = expandNginxVariables(map.source, ctx);
+  const exact = map.entries.find(e => e.key !== undefined && e.key.toLowerCase() === input.toLowerCase());
+  if (exact) return expandNginxVariables(exact.value, ctx);
+  for (const e of map.entries) {
+    if (!e.regex) continue;
+    const m = e.regex.exec(input);
+    if (m) return expandNginxVariables(e.value, { ...ctx, captures: Array.from(m, v => v ?? '') });
+  }
+  return expandNginxVariables(map.defaultValue, ctx);
+}
+
+/**
+ * @description 解析 types 块（通常来自 include mime.types），得到扩展名到 MIME 类型的映射
+ * @param {object[]} children 所在层级的子节点
+ * @returns {Object<string, string> | null}
+ */
+function parseTypesBlocks(children) {
+  const blocks = findBlocks(children || [], 'types');
+  if (!blocks.length) return null;
+  /** @type {Object<string, string>} */
+  const map = {};
+  for (const block of blocks) {
+    for (const node of block.children || []) {
+      if (node.type !== 'directive') continue;
+      for (const ext of node.args || []) {
+        map[`.${String(ext).toLowerCase()}`] = node.name;
+      }
+    }
+  }
+  return map;
+}
+
+/**
+ * @description 从 location 块构建配置，嵌套的 location 递归构建
+ * root/alias、index、add_header、proxy_* 头、gzip、etag/expires、access_log 在未声明时继承上一层（server 或外层 location）；
+ * proxy_pass、try_files 与 rewrite 不继承
+ * @param {object} block location 块节点
+ * @param {object} parent 上一层（server 或外层 location）已解析的配置
+ * @returns {object}
+ */
+function buildLocationConfig(block, parent) {
+  const args = Array.isArray(block.args) ? block.args.map(String) : [];
+  const modifier = args[0] || '';
+  let kind = 'prefix';
+  let matcherValue = '/';
+  let flags = '';
+  let noRegex = false;
+
+  if (modifier === '=') {
+    kind = 'exact';
+    matcherValue = args[1] || '/';
+  } else if (modifier.startsWith('@')) {
+    // 命名 location，只能作为 try_files 等内部跳转的目标
+    kind = 'named';
+    matcherValue = modifier;
+  } else if (modifier === '~' || modifier === '~*') {
+    kind = 'regex';
+    matcherValue = args[1] || '';
+    flags = modifier === '~*' ? 'i' : '';
+  } else if (modifier === '^~') {
+    kind = 'prefix';
+    matcherValue = args[1] || '/';
+    noRegex = true;
+  } else {
+    kind = 'prefix';
+    matcherValue = args[0] || '/';
+  }
+
+  const children = block.children || [];
+  const ownRoot = findDirectives(children, 'root')[0]?.args?.[0];
+  const ownAlias = findDirectives(children, 'alias')[0]?.args?.[0];
+  const ownIndex = findDirectives(children, 'index')[0];
+  // 与 nginx 一致：root 与 alias 共用同一个配置项，本层都未声明时整体继承（alias 仍按声明它的 location 截取前缀）
+  const inheritRoot = ownRoot === undefined && ownAlias === undefined;
+
+  const loc = {
+    kind,
+    matcher: matcherValue,
+    noRegex,
+    file: block.file,
+    line: block.line,
+    regex: kind === 'regex' ? compileConfigRegex(matcherValue, flags, block) : null,
+    proxyPass: findDirectives(children, 'proxy_pass')[0]?.args?.[0],
+    internal: findDirectives(children, 'internal').length > 0,
+    root: inheritRoot ? parent.root : ownRoot,
+    alias: inheritRoot ? parent.alias : ownAlias,
+    aliasKind: inheritRoot ? parent.aliasKind : kind,
+    aliasMatcher: inheritRoot ? parent.aliasMatcher : matcherValue,
+    index: ownIndex ? parseIndexList(ownIndex.args) : parent.index,
+    tryFiles: parseTryFiles(findDirectives(children, 'try_files')[0]?.args),
+    addHeaders: parseAddHeaders(children) || parent.addHeaders,
+    proxy: parseProxyHeaderConf(children, parent.proxy),
+    proxyUpstream: parseProxyUpstreamConf(children, parent.proxyUpstream),
+    rewrites: parseRewriteRules(children),
+    gzip: parseGzipConf(children, parent.gzip),
+    cache: parseCacheConf(children, parent.cache),
+    autoindex: parseAutoindexConf(children, parent.autoindex),
+    errorPages: parseErrorPages(children, parent.errorPages),
+    authBasic: parseAuthBasicConf(children, parent.authBasic, parent.logEnv.baseDir),
+    accessLogs: parseAccessLogs(children, parent.accessLogs, parent.logEnv),
+    logEnv: parent.logEnv,
+    locations: []
+  };
+  loc.locations = findBlocks(children, 'location').map(child => buildLocationConfig(child, loc));
+  return loc;
+}
+
+/**
+ * @description 从单个 server 块构建简化的服务器配置
+ * @param {object} server server 块节点
+ * @param {string} baseDir
+ * @param {object} inherited 从 http 层继承的配置
+ * @returns {object}
+ */
+function buildServerBlockConfig(server, baseDir, inherited) {
+  const listenDirs = findDirectives(server.children || [], 'listen');
+  const serverNameDirs = findDirectives(server.children || [], 'server_name');
+  const serverRootDir = findDirectives(server.children || [], 'root')[0];
+  const serverIndexDir = findDirectives(server.children || [], 'index')[0];
+
+  const listen = listenDirs.length
+    ? listenDirs.map(d => ({ ...parseListen(d.args), file: d.file, line: d.line }))
+    : [{ ...parseListen([]), file: server.file, line: server.line }];
+  const serverRoot = serverRootDir?.args?.[0] ? path.resolve(baseDir, String(serverRootDir.args[0])) : baseDir;
+  const serverIndex = serverIndexDir ? parseIndexList(serverIndexDir?.args) : inherited.index;
+  const addHeaders = parseAddHeaders(server.children) || inherited.addHeaders;
+  const proxy = parseProxyHeaderConf(server.children, inherited.proxy);
+  const proxyUpstream = parseProxyUpstreamConf(server.children, inherited.proxyUpstream);
+  const ssl = parseSslConf(server.children, inherited.ssl, baseDir);
+  const rewrites = parseRewriteRules(server.children);
+  const gzip = parseGzipConf(server.children, inherited.gzip);
+  const cache = parseCacheConf(server.children, inherited.cache);
+  const autoindex = parseAutoindexConf(server.children, inherited.autoindex);
+  const errorPages = parseErrorPages(server.children, inherited.errorPages);
+  const authBasic = parseAuthBasicConf(server.children, inherited.authBasic, baseDir);
+  const accessLogs = parseAccessLogs(server.children, inherited.accessLogs, inherited.logEnv);
+  const serverNames = serverNameDirs.flatMap(d => (d.args || []).map(String));
+  const serverNameRegexes = serverNameDirs.flatMap(d => (d.args || [])
+    .map(String)
+    .filter(n => n.startsWith('~'))
+    .map(n => compileConfigRegex(n.slice(1), 'i', d)));
+
+  const serverLevel = {
+    addHeaders, proxy, proxyUpstream, gzip, cache, autoindex, errorPages, authBasic, accessLogs, logEnv: inherited.logEnv,
+    index: serverIndex, root: undefined, alias: undefined, aliasMatcher: ''
+  };
+  const locations = findBlocks(server.children || [], 'location').map(block => buildLocationConfig(block, serverLevel));
+
+  return {
+    listen,
+    serverNames,
+    serverNameRegexes,
+    serverRoot,
+    serverIndex,
+    mimeTypes: parseTypesBlocks(server.children),
+    defaultType: findDirectives(server.children || [], 'default_type')[0]?.args?.[0],
+    addHeaders,
+    proxy,
+    proxyUpstream,
+    ssl,
+    rewrites,
+    gzip,
+    cache,
+    autoindex,
+    errorPages,
+    authBasic,
+    accessLogs,
+    locations
+  };
+}
+
+/**
+ * @description 从 AST 构建简化的服务器配置，每个 server 块一份，并按监听地址分组
+ * @param {object[]} ast
+ * @param {string} configFilePath
+ * @param {string} baseDir
+ * @returns {{ servers: object[], listeners: object[], upstreams: Object<string, object> } | null}
+ */
+function buildNodeServerConfigFromAst(ast, configFilePath, baseDir) {
+  const httpBlock = findBlocks(ast, 'http')[0];
+  if (!httpBlock) return null;
+  const serverBlocks = findBlocks(httpBlock.children || [], 'server');
+  if (!serverBlocks.length) return null;
+
+  const httpMimeTypes = parseTypesBlocks(httpBlock.children);
+  const httpDefaultType = findDirectives(httpBlock.children || [], 'default_type')[0]?.args?.[0];
+  const httpMaps = parseMapBlocks(httpBlock.children);
+  const upstreams = parseUpstreamBlocks(httpBlock.children);
+  const logEnv = { formats: parseLogFormats(httpBlock.children), baseDir };
+  const inherited = {
+    logEnv,
+    accessLogs: parseAccessLogs(httpBlock.children, [], logEnv),
+    addHeaders: parseAddHeaders(httpBlock.children) || [],
+    proxy: parseProxyHeaderConf(httpBlock.children, null),
+    proxyUpstream: parseProxyUpstreamConf(httpBlock.children, null),
+    ssl: parseSslConf(httpBlock.children, null, baseDir),
+    gzip: parseGzipConf(httpBlock.children, null),
+    cache: parseCacheConf(httpBlock.children, null),
+    autoindex: parseAutoindexConf(httpBlock.children, null),
+    errorPages: parseErrorPages(httpBlock.children, null),
+    authBasic: parseAuthBasicConf(httpBlock.children, null, baseDir),
+    index: parseIndexList(findDirectives(httpBlock.children || [], 'index')[0]?.args)
+  };
+  const servers = serverBlocks.map((block, i) => {
+    const srv = buildServerBlockConfig(block, baseDir, inherited);
+    // server 层未声明时继承 http 层的 types / default_type
+    srv.mimeTypes = srv.mimeTypes || httpMimeTypes;
+    srv.defaultType = srv.defaultType || httpDefaultType;
+    srv.maps = httpMaps;
+    srv.upstreams = upstreams;
+    srv.file = block.file || configFilePath;
+    srv.line = block.line;
+    srv.label = `#${i + 1} ${srv.serverNames.join(' ') || '_'}`;
+    if (block.file && path.resolve(block.file) !== path.resolve(configFilePath)) {
+      srv.label += ` (${path.basename(block.file)})`;
+    }
+    return srv;
+  });
+
+  // 同一地址/端口只启动一个监听，挂在其上的 server 块按出现顺序排列
+  const listenerMap = new Map();
+  for (const srv of servers) {
+    for (const l of srv.listen) {
+      const key = `${l.host}:${l.port}`;
+      let listener = listenerMap.get(key);
+      if (!listener) {
+        listener = { key, host: l.host, port: l.port, ssl: false, servers: [], defaultServer: null, file: l.file, line: l.line };
+        listenerMap.set(key, listener);
+      }
+      // 与 nginx 一致：同一地址上任一 listen 带 ssl，该监听即为 HTTPS
+      if (l.ssl) listener.ssl = true;
+      if (!listener.servers.includes(srv)) listener.servers.push(srv);
+      if (l.defaultServer && !listener.defaultServer) listener.defaultServer = srv;
+    }
+  }
+
+  // 未显式声明 default_server 时，与 nginx 一致取该端口上的第一个 server 块
+  for (const listener of listenerMap.values()) {
+    if (!listener.defaultServer) listener.defaultServer = listener.servers[0];
+  }
+
+  return { servers, listeners: Array.from(listenerMap.values()), upstreams };
+}
+
+/**
+ * @description 按 nginx 的 server_name 匹配顺序为请求选择 server 块
+ * 精确名称 > 最长的前缀通配（*.example.com）> 最长的后缀通配（www.*）> 按出现顺序的首个正则，
+ * 都不匹配时使用该监听的 default_server
+ * @param {object} listener 监听配置
+ * @param {string} hostHeader 请求的 Host 头
+ * @param {(line: string) => void} [trace] 记录选择原因（用于“解释 URL”）
+ * @returns {object}
+ */
+function pickServer(listener, hostHeader, trace = () => {}) {
+  const host = String(hostHeader || '')
+    .toLowerCase()
+    .replace(/^\[([^\]]*)\](:\d+)?$/, '$1')
+    .replace(/:\d+$/, '')
+    .replace(/\.$/, '');
+  const servers = listener.servers;
+  if (!host) {
+    trace('Host 为空，使用该监听的 default_server');
+    return listener.defaultServer;
+  }
+
+  // 1. 精确匹配（.example.com 同时匹配 example.com 本身）
+  for (const srv of servers) {
+    for (const name of srv.serverNames) {
+      const n = name.toLowerCase();
+      if (n === host || (n.startsWith('.') && n.slice(1) === host)) {
+        trace(`server_name "${name}" 精确匹配 ${host}`);
+        return srv;
+      }
+    }
+  }
+
+  // 2. 前缀通配，取最长匹配
+  let best = null;
+  let bestName = '';
+  let bestLen = -1;
+  for (const srv of servers) {
+    for (const name of srv.serverNames) {
+      const n = name.toLowerCase();
+      const suffix = n.startsWith('*.') ? n.slice(1) : (n.startsWith('.') ? n : '');
+      if (suffix && host.endsWith(suffix) && suffix.length > bestLen) {
+        best = srv;
+        bestName = name;
+        bestLen = suffix.length;
+      }
+    }
+  }
+  if (best) {
+    trace(`server_name "${bestName}" 是匹配 ${host} 的最长前缀通配`);
+    return best;
+  }
+
+  // 3. 后缀通配，取最长匹配
+  for (const srv of servers) {
+    for (const name of srv.serverNames) {
+      const n = name.toLowerCase();
+      if (!n.endsWith('.*')) continue;
+      const prefix = n.slice(0, -1);
+      if (host.startsWith(prefix) && prefix.length > bestLen) {
+        best = srv;
+        bestName = name;
+        bestLen = prefix.length;
+      }
+    }
+  }
+  if (best) {
+    trace(`server_name "${bestName}" 是匹配 ${host} 的最长后缀通配`);
+    return best;
+  }
+
+  // 4. 正则匹配，按出现顺序
+  for (const srv of servers) {
+    const re = srv.serverNameRegexes.find(r => r.test(host));
+    if (re) {
+      trace(`server_name 正则 ~${re.source} 匹配 ${host}（按出现顺序第一个命中）`);
+      return srv;
+    }
+  }
+
+  trace(`没有 server_name 匹配 ${host}，使用该监听的 default_server`);
+  return listener.defaultServer;
+}
+
+/**
+ * @description 以 nginx 配置中的写法还原 location 的修饰符与匹配串，如 "= /"、"~* \.js$"、"^~ /static/"
+ * @param {object} loc location 配置
+ * @returns {string}
+ */
+function formatLocationMatcher(loc) {
+  const modifier = loc.kind === 'exact' ? '= '
+    : loc.kind === 'regex' ? (loc.regex?.flags.includes('i') ? '~* ' : '~ ')
+      : loc.noRegex ? '^~ ' : '';
+  return `${modifier}${loc.matcher}`;
+}
+
+/**
+ * @description 描述 location，并附上所在的文件与行号
+ * @param {object} loc location 配置
+ * @returns {string}
+ */
+function describeLocation(loc) {
+  const where = loc.file ? ` (${path.basename(loc.file)}:${loc.line + 1})` : '';
+  return `location ${formatLocationMatcher(loc)}${where}`;
+}
+
+/**
+ * @description 在同一层级的 location 中查找，遇到嵌套 location 时递归
+ * 顺序与 nginx 一致：精确匹配 > 最长前缀（并在其内部继续查找嵌套 location）> 本层正则（^~ 前缀跳过）
+ * @param {object[]} locations 同一层级的 location 列表
+ * @param {string} pathname 请求路径
+ * @param {(line: string) => void} [trace] 记录每个候选胜出或落选的原因（用于“解释 URL”）
+ * @param {string} [indent] 记录时的缩进，嵌套层级逐层加深
+ * @returns {{ loc: object | null, final: boolean }} final 为 true 表示不再受外层正则影响
+ */
+function findLocationInLevel(locations, pathname, trace = () => {}, indent = '') {
+  // 1. 精确匹配
+  for (const l of locations.filter(c => c.kind === 'exact')) {
+    if (l.matcher === pathname) {
+      trace(`${indent}${describeLocation(l)}: 精确匹配，立即选中`);
+      return { loc: l, final: true };
+    }
+    trace(`${indent}${describeLocation(l)}: 与 URI 不完全相等`);
+  }
+
+  // 2. 前缀匹配，并在最长前缀内部查找嵌套 location
+  const prefixes = locations.filter(l => l.kind === 'prefix' && typeof l.matcher === 'string');
+  const bestPrefix = prefixes
+    .filter(l => pathname.startsWith(l.matcher))
+    .sort((a, b) => b.matcher.length - a.matcher.length)[0] || null;
+  for (const l of prefixes) {
+    if (l === bestPrefix) {
+      trace(`${indent}${describeLocation(l)}: 最长的匹配前缀（${l.matcher.length} 个字符）${l.noRegex ? '，带 ^~ 不再检查正则' : ''}`);
+    } else if (pathname.startsWith(l.matcher)) {
+      trace(`${indent}${describeLocation(l)}: 前缀匹配，但短于 ${bestPrefix.matcher}`);
+    } else {
+      trace(`${indent}${describeLocation(l)}: 前缀不匹配`);
+    }
+  }
+
+  let loc = bestPrefix;
+  if (bestPrefix?.locations.length) {
+    trace(`${indent}进入 ${describeLocation(bestPrefix)} 内的嵌套 location:`);
+    const nested = findLocationInLevel(bestPrefix.locations, pathname, trace, `${indent}  `);
+    if (nested.final) return nested;
+    if (nested.loc) loc = nested.loc;
+  }
+  if (bestPrefix?.noRegex) return { loc, final: false };
+
+  // 3. 正则匹配，按出现顺序；命中后同样查找其内部的嵌套 location
+  const regexes = locations.filter(l => l.kind === 'regex');
+  for (const [i, l] of regexes.entries()) {
+    if (l.regex?.test(pathname)) {
+      trace(`${indent}${describeLocation(l)}: 正则匹配，优先于前缀 location，选中`);
+      for (const rest of regexes.slice(i + 1)) trace(`${indent}${describeLocation(rest)}: 未检查（前面的正则已命中）`);
+      if (l.locations.length) trace(`${indent}进入 ${describeLocation(l)} 内的嵌套 location:`);
+      const nested = l.locations.length ? findLocationInLevel(l.locations, pathname, trace, `${indent}  `) : { loc: null };
+      return { loc: nested.loc || l, final: true };
+    }
+    trace(`${indent}${describeLocation(l)}: 正则不匹配`);
+  }
+
+  return { loc, final: false };
+}
+
+/**
+ * @description 根据请求路径匹配最合适的 Location
+ * @param {object} cfg 服务器配置
+ * @param {string} pathname 请求路径
+ * @param {(line: string) => void} [trace] 记录匹配过程
+ * @returns {object | null}
+ */
+function pickLocation(cfg, pathname, trace = () => {}) {
+  const locations = Array.isArray(cfg.locations) ? cfg.locations : [];
+  return findLocationInLevel(locations, pathname, trace).loc;
+}
+
+/**
+ * @description 与 nginx 一致的内部重定向次数上限
+ */
+const MAX_INTERNAL_REDIRECTS = 10;
+
+/**
+ * @description 依次执行一组 rewrite / return / break 规则
+ * 返回的 action：continue（全部执行完）、last、break、return（含重定向）
+ * @param {object[]} rules 规则列表
+ * @param {object} ctx 请求上下文，rewrite 会修改其中的 uri/args
+ * @param {(line: string) => void} [trace] 记录每条规则的执行情况
+ * @returns {{ action: string, changed: boolean, code?: number, text?: string }}
+ */
+function runRewriteRules(rules, ctx, trace = () => {}) {
+  let changed = false;
+  for (const rule of rules || []) {
+    if (rule.type === 'break') {
+      trace('break: 停止执行后续 rewrite');
+      return { action: 'break', changed };
+    }
+    if (rule.type === 'return') {
+      const text = rule.text === undefined ? undefined : expandNginxVariables(rule.text, ctx);
+      trace(`return ${rule.code}${text === undefined ? '' : ` ${text}`}`);
+      return { action: 'return', changed, code: rule.code, text };
+    }
+
+    const m = rule.regex.exec(ctx.uri);
+    if (!m) {
+      trace(`rewrite ${rule.regex.source}: 不匹配 ${ctx.uri}`);
+      continue;
+    }
+    setRegexCaptures(ctx, m);
+
+    let target = expandNginxVariables(rule.replacement, ctx);
+    trace(`rewrite ${rule.regex.source} ${rule.replacement}${rule.flag ? ` ${rule.flag}` : ''}: ${ctx.uri} -> ${target}`);
+    // 替换串以 ? 结尾时不再追加原始参数
+    const keepArgs = !target.endsWith('?');
+    if (!keepArgs) target = target.slice(0, -1);
+
+    if (/^https?:\/\//.test(target) || rule.flag === 'redirect' || rule.flag === 'permanent') {
+      const location = keepArgs && ctx.args ? `${target}${target.includes('?') ? '&' : '?'}${ctx.args}` : target;
+      return { action: 'return', changed, code: rule.flag === 'permanent' ? 301 : 302, text: location };
+    }
+
+    const q = target.indexOf('?');
+    const newUri = q === -1 ? target : target.slice(0, q);
+    const newArgs = q === -1 ? '' : target.slice(q + 1);
+    if (newArgs) {
+      ctx.args = keepArgs && ctx.args ? `${newArgs}&${ctx.args}` : newArgs;
+    } else if (!keepArgs) {
+      ctx.args = '';
+    }
+    ctx.uri = newUri;
+    ctx.uriChanged = true;
+    changed = true;
+
+    if (rule.flag === 'last') return { action: 'last', changed };
+    if (rule.flag === 'break') return { action: 'break', changed };
+  }
+  return { action: 'continue', changed };
+}
+
+/**
+ * @description 执行 server 层与 location 层的 rewrite 以及 try_files，得到最终处理请求的 location
+ * location 内的 last（或未带标志但修改了 URI）、try_files 的回退 URI 与命名 location 都会重新进入处理流程，
+ * 超过 10 次视为循环；ctx.namedLocation 非空时从该命名 location 开始（error_page @name）
+ * 与 nginx 的访问阶段一致，access 在每个 location 的 rewrite 之后、try_files 之前执行，内部重定向后会再次执行
+ * @param {object} cfg server 块配置
+ * @param {object} ctx 请求上下文
+ * @param {(line: string) => void} [trace] 记录 rewrite、location 选择与内部重定向的过程（用于“解释 URL”）
+ * @param {(loc: object | null) => Promise<{ code: number, challenge?: string } | null>} [access] 访问检查（auth_basic），拒绝时返回状态码
+ * @returns {Promise<{ loc: object | null, result: object | null, error?: string, denied?: { code: number, challenge?: string } }>}
+ */
+async function resolveRequestLocation(cfg, ctx, trace = () => {}, access = async () => null) {
+  // error_page 跳转到命名 location 时直接从该 location 开始，不再执行 server 层的 rewrite
+  let named = ctx.namedLocation || null;
+  ctx.namedLocation = null;
+  if (!named) {
+    const serverResult = runRewriteRules(cfg.rewrites, ctx, line => trace(`server 层 ${line}`));
+    if (serverResult.action === 'return') return { loc: null, result: serverResult };
+  }
+
+  for (let i = 0; i <= MAX_INTERNAL_REDIRECTS; i += 1) {
+    if (i > 0) trace(`内部重定向 (${i}): ${named ? named.matcher : ctx.uri}`);
+    if (!named) trace(`为 ${ctx.uri} 选择 location:`);
+    const loc = named || pickLocation(cfg, ctx.uri, line => trace(`  ${line}`));
+    named = null;
+    trace(loc ? `选中 ${describeLocation(loc)}` : '没有匹配的 location，使用 server 层配置');
+    // internal 的 location 只接受内部重定向（rewrite last、try_files、error_page）
+    if (loc?.internal && i === 0 && !ctx.errorPage) {
+      trace('该 location 声明了 internal，外部请求返回 404');
+      return { loc, result: { action: 'return', changed: false, code: 404 } };
+    }
+    if (loc?.kind === 'regex') {
+      const m = loc.regex.exec(ctx.uri);
+      if (m) setRegexCaptures(ctx, m);
+    }
+    const result = runRewriteRules(loc?.rewrites, ctx, trace);
+    if (result.action === 'return') return { loc, result };
+    if (result.action === 'last' || (result.action === 'continue' && result.changed)) continue;
+    // break 之后 URI 已在当前 location 内被改写，proxy_pass 需要原样传递新 URI
+    ctx.rewrittenInLocation = result.changed;
+
+    const denied = await access(loc);
+    if (denied) return { loc, result: null, denied };
+
+    if (loc?.tryFiles) {
+      const tried = await runTryFiles(loc, cfg, ctx, trace);
+      if (tried.kind === 'code') return { loc, result: { action: 'return', changed: false, code: tried.code } };
+      if (tried.kind === 'named') {
+        named = cfg.locations.find(l => l.kind === 'named' && l.matcher === tried.name);
+        if (!named) return { loc, result: null, error: `未找到命名 location: ${tried.name}` };
+        continue;
+      }
+      if (tried.kind === 'redirect') continue;
+    }
+    return { loc, result: null };
+  }
+  return { loc: null, result: null, error: 'rewrite or internal redirection cycle' };
+}
+
+/**
+ * @description 将 URI 按 location 的 root/alias 映射为文件系统路径（root/alias 中可以使用变量与正则捕获）
+ * @param {object | null} loc location 配置
+ * @param {object} cfg server 块配置
+ * @param {object} ctx 请求上下文
+ * @param {string} uri 要映射的 URI
+ * @returns {string | null} 越出根目录时返回 null
+ */
+function mapUriToPath(loc, cfg, ctx, uri) {
+  const aliasValue = loc?.alias ? expandNginxVariables(loc.alias, ctx) : '';
+  const rootValue = loc?.root ? expandNginxVariables(loc.root, ctx) : '';
+  if (!aliasValue) {
+    const rootDir = rootValue ? resolvePathInWorkspace(rootValue) : cfg.serverRoot;
+    return safeJoin(rootDir, uri);
+  }
+
+  const aliasDir = resolvePathInWorkspace(aliasValue);
+  if (loc.aliasKind !== 'regex') {
+    // alias: 移除声明 alias 的 location 的前缀
+    let relative = uri;
+    if ((loc.aliasKind === 'prefix' || loc.aliasKind === 'exact') && uri.startsWith(loc.aliasMatcher)) {
+      relative = uri.slice(loc.aliasMatcher.length);
+    }
+    return safeJoin(aliasDir, relative);
+  }
+  // 捕获组中带有 .. 时拒绝访问
+  if (/(^|[\\/])\.\.([\\/]|$)/.test(aliasValue)) return null;
+  // 正则 location 中的 alias 即完整的文件路径
+  return path.resolve(aliasDir);
+}
+
+/**
+ * @description 按 nginx 的 try_files 算法依次检查文件/目录，最后一个参数作为回退
+ * 回退可以是 URI（内部重定向）、@命名 location 或 =code 状态码
+ * @param {object} loc location 配置
+ * @param {object} cfg server 块配置
+ * @param {object} ctx 请求上下文，命中或内部重定向时会更新其中的 uri/args
+ * @param {(line: string) => void} [trace] 记录每个候选的检查结果
+ * @returns {Promise<{ kind: 'file' | 'redirect' | 'named' | 'code', name?: string, code?: number }>}
+ */
+async function runTryFiles(loc, cfg, ctx, trace = () => {}) {
+  const list = loc.tryFiles;
+  for (const arg of list.slice(0, -1)) {
+    const candidate = expandNginxVariables(arg, ctx);
+    const wantDir = candidate.endsWith('/');
+    const filePath = mapUriToPath(loc, cfg, ctx, candidate);
+    if (!filePath) {
+      trace(`try_files ${candidate}: 越出根目录，跳过`);
+      continue;
+    }
+    try {
+      const stats = await fs.promises.stat(filePath);
+      if (wantDir ? stats.isDirectory() : stats.isFile()) {
+        trace(`try_files ${candidate}: ${filePath} 存在，使用它`);
+        ctx.uri = candidate;
+        return { kind: 'file' };
+      }
+      trace(`try_files ${candidate}: ${filePath} 不是${wantDir ? '目录' : '文件'}`);
+    } catch {
+      // 不存在，继续尝试下一个
+      trace(`try_files ${candidate}: ${filePath} 不存在`);
+    }
+  }
+
+  const fallback = list[list.length - 1];
+  trace(`try_files 回退到 ${fallback}`);
+  const code = fallback.match(/^=(\d{3})$/);
+  if (code) return { kind: 'code', code: parseInt(code[1], 10) };
+  if (fallback.startsWith('@')) return { kind: 'named', name: fallback };
+
+  const target = expandNginxVariables(fallback, ctx);
+  const q = target.indexOf('?');
+  ctx.uri = q === -1 ? target : target.slice(0, q);
+  if (q !== -1) ctx.args = target.slice(q + 1);
+  ctx.uriChanged = true;
+  return { kind: 'redirect' };
+}
+
+/**
+ * @description 按 nginx 的 proxy_pass 规则计算上游地址
+ * @param {object} loc location 配置
+ * @param {object} ctx 请求上下文
+ * @returns {string}
+ */
+function resolveProxyTarget(loc, ctx) {
+  const search = ctx.args ? `?${ctx.args}` : '';
+  const requestPath = ctx.uriChanged ? encodeURI(ctx.uri) : ctx.url.pathname;
+
+  // proxy_pass 中含变量时：带 URI 则原样使用，否则追加当前 URI
+  if (loc.proxyPass.includes('$')) {
+    const expanded = expandNginxVariables(loc.proxyPass, ctx);
+    const rest = expanded.replace(/^https?:\/\//, '');
+    return rest.includes('/') ? expanded : `${expanded}${requestPath}${search}`;
+  }
+
+  const proxyPass = loc.proxyPass;
+  const proxyUrl = new URL(proxyPass);
+  const hasTrailingSlash = proxyPass.endsWith('/');
+
+  const noProtocol = proxyPass.replace(/^https?:\/\//, '');
+  const slashIndex = noProtocol.indexOf('/');
+  const hasPathInProxyPass = slashIndex !== -1 && slashIndex < noProtocol.length - 1;
+
+  // location 内经 rewrite ... break 改写过 URI 时，忽略 proxy_pass 中的 URI 部分
+  if (ctx.rewrittenInLocation) {
+    return `${proxyUrl.protocol}//${proxyUrl.host}${requestPath}${search}`;
+  }
+
+  if (hasPathInProxyPass) {
+    let relativePath = requestPath;
+    if (loc.kind === 'prefix' && requestPath.startsWith(loc.matcher)) {
+      relativePath = requestPath.slice(loc.matcher.length);
+    }
+    const rel = String(relativePath || '').replace(/^\/+/, '');
+    const basePath = String(proxyUrl.pathname || '/');
+    const joinedPath = basePath.endsWith('/') ? `${basePath}${rel}` : `${basePath}/${rel}`;
+    return `${proxyUrl.protocol}//${proxyUrl.host}${joinedPath}${search}`;
+  }
+  if (hasTrailingSlash) {
+    let relativePath = requestPath;
+    if (loc.kind === 'prefix' && requestPath.startsWith(loc.matcher)) {
+      relativePath = requestPath.slice(loc.matcher.length);
+    }
+    const rel = String(relativePath || '').replace(/^\/+/, '');
+    return `${proxyUrl.protocol}//${proxyUrl.host}/${rel}${search}`;
+  }
+  return ctx.uriChanged
+    ? `${proxyUrl.protocol}//${proxyUrl.host}${requestPath}${search}`
+    : `${proxyUrl.protocol}//${proxyUrl.host}${ctx.req.url}`;
+}
+
+/**
+ * @description 安全地拼接路径，防止路径遍历漏洞
+ * @param {string} rootDir 根目录
+ * @param {string} requestPath 请求路径
+ * @returns {string | null}
+ */
+function safeJoin(rootDir, requestPath) {
+  const normalized = path.posix.normalize(String(requestPath || '/').replace(/\\/g, '/'));
+  const withoutLeading = normalized.replace(/^\/+/, '');
+  const candidate = path.resolve(rootDir, withoutLeading);
+  const rootResolved = path.resolve(rootDir);
+  
+  if (candidate.toLowerCase() === rootResolved.toLowerCase()) return candidate;
+  if (!candidate.toLowerCase().startsWith(rootResolved.toLowerCase() + path.sep)) {
+    return null;
+  }
+  return candidate;
+}
+
+/**
+ * @description 创建请求级的变量上下文，供 nginx 变量展开使用
+ * uri/args 对应 nginx 的 $uri/$args，会被 rewrite 修改；captures 保存最近一次正则匹配的捕获组
+ * @param {http.IncomingMessage} req 客户端请求
+ * @param {URL} url 解析后的请求 URL
+ * @param {object} cfg 处理该请求的 server 块配置
+ * @returns {object}
+ */
+function createRequestContext(req, url, cfg) {
+  let uri = url.pathname;
+  try {
+    uri = decodeURIComponent(url.pathname);
+  } catch {
+    // 非法的百分号编码，保留原样
+  }
+  return {
+    req,
+    url,
+    cfg,
+    uri,
+    args: url.search.replace(/^\?/, ''),
+    uriChanged: false,
+    captures: [],
+    vars: {},
+    // 每次尝试上游的地址、状态与耗时，用于 $upstream_* 变量
+    upstreamLog: []
+  };
+}
+
+/**
+ * @description 用一次正则匹配结果更新上下文中的捕获组（$1..$9 与命名捕获）
+ * @param {object} ctx 请求上下文
+ * @param {RegExpExecArray} match 匹配结果
+ */
+function setRegexCaptures(ctx, match) {
+  ctx.captures = Array.from(match, v => v ?? '');
+  Object.assign(ctx.vars, match.groups || {});
+}
+
+/**
+ * @description 读取单个 nginx 变量的值，未知变量返回空字符串
+ * @param {string} name 变量名（不含 $）
+ * @param {object} ctx 请求上下文
+ * @returns {string}
+ */
+function getNginxVariable(name, ctx) {
+  const { req, url, cfg } = ctx;
+  if (Object.prototype.hasOwnProperty.call(ctx.vars, name)) return String(ctx.vars[name] ?? '');
+  if (/^\d+$/.test(name)) return ctx.captures[Number(name)] ?? '';
+
+  const lower = name.toLowerCase();
+  const socket = req.socket || {};
+  if (lower.startsWith('http_')) {
+    const v = req.headers[lower.slice(5).replace(/_/g, '-')];
+    return Array.isArray(v) ? v.join(', ') : String(v ?? '');
+  }
+  if (lower.startsWith('arg_')) return url.searchParams.get(name.slice(4)) ?? '';
+  if (lower.startsWith('cookie_')) {
+    const wanted = name.slice(7);
+    for (const part of String(req.headers.cookie || '').split(';')) {
+      const eq = part.indexOf('=');
+      if (eq !== -1 && part.slice(0, eq).trim() === wanted) return part.slice(eq + 1).trim();
+    }
+    return '';
+  }
+
+  const remoteAddr = String(socket.remoteAddress || '').replace(/^::ffff:/, '');
+  switch (lower) {
+    case 'host': {
+      const h = String(req.headers.host || '').replace(/:\d+$/, '').toLowerCase();
+      return h || cfg.serverNames?.[0] || '';
+    }
+    case 'server_name':
+      return cfg.serverNames?.[0] || '';
+    case 'server_port':
+      return String(socket.localPort || '');
+    case 'server_addr':
+      return String(socket.localAddress || '').replace(/^::ffff:/, '');
+    case 'remote_addr':
+    case 'binary_remote_addr':
+      return remoteAddr;
+    case 'remote_port':
+      return String(socket.remotePort || '');
+    case 'proxy_add_x_forwarded_for': {
+      const prev = req.headers['x-forwarded-for'];
+      return prev ? `${prev}, ${remoteAddr}` : remoteAddr;
+    }
+    case 'scheme':
+      return socket.encrypted ? 'https' : 'http';
+    case 'https':
+      return socket.encrypted ? 'on' : '';
+    case 'request_method':
+      return req.method || '';
+    case 'request_uri':
+      return req.url || '';
+    case 'uri':
+    case 'document_uri':
+      return ctx.uri;
+    case 'args':
+    case 'query_string':
+      return ctx.args;
+    case 'is_args':
+      return ctx.args ? '?' : '';
+    case 'server_protocol':
+      return `HTTP/${req.httpVersion}`;
+    case 'request':
+      return `${req.method} ${req.url} HTTP/${req.httpVersion}`;
+    case 'content_type':
+      return String(req.headers['content-type'] || '');
+    case 'content_length':
+      return String(req.headers['content-length'] || '');
+    case 'remote_user': {
+      const m = String(req.headers.authorization || '').match(/^Basic\s+(\S+)/i);
+      if (!m) return '';
+      const decoded = Buffer.from(m[1], 'base64').toString('utf8');
+      return decoded.includes(':') ? decoded.slice(0, decoded.indexOf(':')) : '';
+    }
+    case 'msec':
+      return (Date.now() / 1000).toFixed(3);
+    case 'time_iso8601':
+      return formatLogTime(new Date(), 'iso8601');
+    case 'time_local':
+      return formatLogTime(new Date(), 'local');
+    default: {
+      const map = cfg.maps?.[lower];
+      if (map) return evaluateMap(map, ctx);
+      // 未定义 map 时按常见写法提供 $connection_upgrade，便于直接复制 WebSocket 配置片段
+      if (lower === 'connection_upgrade') return req.headers.upgrade ? 'upgrade' : 'close';
+      return '';
+    }
+  }
+}
+
+/**
+ * @description 展开字符串中的 nginx 变量（$name、${name}、$1）
+ * @param {string} template 含变量的字符串
+ * @param {object} ctx 请求上下文
+ * @param {(value: string) => string} [transform] 对每个变量值的处理（如访问日志的转义）
+ * @returns {string}
+ */
+function expandNginxVariables(template, ctx, transform) {
+  return String(template ?? '').replace(
+    /\$(?:\{(\w+)\}|(\d+)|([A-Za-z_]\w*))/g,
+    (_m, braced, digits, plain) => {
+      const value = getNginxVariable(braced || digits || plain, ctx);
+      return transform ? transform(value) : value;
+    }
+  );
+}
+
+const LOG_MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * @description 按 nginx 的格式输出本地时间：local 形如 19/Oct/2026:14:03:05 +0800，iso8601 形如 2026-10-19T14:03:05+08:00
+ * @param {Date} date 时间
+ * @param {'local' | 'iso8601'} style 格式
+ * @returns {string}
+ */
+function formatLogTime(date, style) {
+  const pad = n => String(n).padStart(2, '0');
+  const offset = -date.getTimezoneOffset();
+  const sign = offset >= 0 ? '+' : '-';
+  const offH = pad(Math.floor(Math.abs(offset) / 60));
+  const offM = pad(Math.abs(offset) % 60);
+  const time = `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+  if (style === 'iso8601') {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${time}${sign}${offH}:${offM}`;
+  }
+  return `${pad(date.getDate())}/${LOG_MONTHS[date.getMonth()]}/${date.getFullYear()}:${time} ${sign}${offH}${offM}`;
+}
+
+/**
+ * @description 默认不转发给客户端的上游响应头（可用 proxy_pass_header 放行）
+ */
+const PROXY_DEFAULT_HIDDEN_HEADERS = ['date', 'server', 'x-pad', 'x-accel-expires', 'x-accel-redirect', 'x-accel-limit-rate', 'x-accel-buffering', 'x-accel-charset'];
+
+/**
+ * @description 解析某一层级与上游请求/响应头相关的 proxy_* 指令
+ * 每类指令与 nginx 一致：当前层级未声明时才继承上层
+ * @param {object[]} children 所在层级的子节点
+ * @param {object} [parent] 上层已解析的配置
+ * @returns {object}
+ */
+function parseProxyHeaderConf(children, parent) {
+  const own = (name) => {
+    const dirs = findDirectives(children || [], name);
+    return dirs.length ? dirs : null;
+  };
+  const argsOf = (d) => (d.args || []).map(String);
+  const setHeaders = own('proxy_set_header');
+  const hideHeaders = own('proxy_hide_header');
+  const passHeaders = own('proxy_pass_header');
+  const redirects = own('proxy_redirect');
+  const cookieDomains = own('proxy_cookie_domain');
+  const cookiePaths = own('proxy_cookie_path');
+  const httpVersion = own('proxy_http_version');
+  return {
+    httpVersion: httpVersion ? String(httpVersion[0].args?.[0] || '1.0') : (parent?.httpVersion || '1.0'),
+    setHeaders: setHeaders
+      ? setHeaders.map(argsOf).filter(a => a.length >= 2).map(a => ({ name: a[0], value: a[1] }))
+      : (parent?.setHeaders || []),
+    hideHeaders: hideHeaders ? hideHeaders.map(d => String(d.args?.[0] || '').toLowerCase()) : (parent?.hideHeaders || []),
+    passHeaders: passHeaders ? passHeaders.map(d => String(d.args?.[0] || '').toLowerCase()) : (parent?.passHeaders || []),
+    redirects: redirects ? parseProxyRewriteRules(redirects, true) : (parent?.redirects || [{ kind: 'default' }]),
+    cookieDomains: cookieDomains ? parseProxyRewriteRules(cookieDomains, false) : (parent?.cookieDomains || []),
+    cookiePaths: cookiePaths ? parseProxyRewriteRules(cookiePaths, false) : (parent?.cookiePaths || [])
+  };
+}
+
+/**
+ * @description 解析某一层级的上游超时与重试指令（proxy_*_timeout、proxy_next_upstream*）以及 proxy_intercept_errors，未声明的项继承上层
+ * @param {object[]} children 所在层级的子节点
+ * @param {object} [parent] 上层已解析的配置
+ * @returns {{ connectTimeout: number, readTimeout: number, sendTimeout: number, nextUpstream: Set<string>, nextUpstreamTries: number, nextUpstreamTimeout: number, interceptErrors: boolean }}
+ */
+function parseProxyUpstreamConf(children, parent) {
+  const time = (name, fallback) => {
+    const d = findDirectives(children || [], name)[0];
+    const ms = d ? parseNginxTime(String(d.args?.[0] || '')) : NaN;
+    return Number.isNaN(ms) ? fallback : ms;
+  };
+  const next = findDirectives(children || [], 'proxy_next_upstream')[0];
+  const tries = findDirectives(children || [], 'proxy_next_upstream_tries')[0];
+  const intercept = findDirectives(children || [], 'proxy_intercept_errors')[0];
+  return {
+    connectTimeout: time('proxy_connect_timeout', parent?.connectTimeout ?? 60000),
+    readTimeout: time('proxy_read_timeout', parent?.readTimeout ?? 60000),
+    sendTimeout: time('proxy_send_timeout', parent?.sendTimeout ?? 60000),
+    nextUpstream: next ? new Set((next.args || []).map(String)) : (parent?.nextUpstream || new Set(['error', 'timeout'])),
+    nextUpstreamTries: tries ? parseInt(String(tries.args?.[0] || '0'), 10) || 0 : (parent?.nextUpstreamTries ?? 0),
+    nextUpstreamTimeout: time('proxy_next_upstream_timeout', parent?.nextUpstreamTimeout ?? 0),
+    interceptErrors: intercept ? String(intercept.args?.[0]) === 'on' : !!parent?.interceptErrors
+  };
+}
+
+/**
+ * @description 解析某一层级的 ssl_* 指令，未声明的项继承上层；证书路径与 root 一样相对于基础目录解析
+ * @param {object[]} children 所在层级的子节点
+ * @param {object | null} parent 上层已解析的配置
+ * @param {string} baseDir 基础目录
+ * @returns {{ certificate: string, certificateKey: string, protocols: string[] | null, ciphers: string, preferServerCiphers: boolean }}
+ */
+function parseSslConf(children, parent, baseDir) {
+  const own = name => findDirectives(children || [], name)[0];
+  const filePath = (name, fallback) => {
+    const d = own(name);
+    return d?.args?.[0] ? path.resolve(baseDir, String(d.args[0])) : fallback;
+  };
+  const protocols = own('ssl_protocols');
+  const ciphers = own('ssl_ciphers');
+  const prefer = own('ssl_prefer_server_ciphers');
+  return {
+    certificate: filePath('ssl_certificate', parent?.certificate || ''),
+    certificateKey: filePath('ssl_certificate_key', parent?.certificateKey || ''),
+    protocols: protocols ? (protocols.args || []).map(String) : (parent?.protocols || null),
+    ciphers: ciphers ? String(ciphers.args?.[0] || '') : (parent?.ciphers || ''),
+    preferServerCiphers: prefer ? String(prefer.args?.[0]) === 'on' : !!parent?.preferServerCiphers
+  };
+}
+
+/**
+ * @description nginx 内置的日志格式
+ */
+const PREDEFINED_LOG_FORMATS = {
+  combined: '$remote_addr - $remote_user [$time_local] "$request" $status $body_bytes_sent "$http_referer" "$http_user_agent"'
+};
+
+/**
+ * @description 解析 http 层的 log_format，多段字符串与 nginx 一样直接拼接
+ * @param {object[]} children http 块的子节点
+ * @returns {Object<string, { escape: string, template: string }>}
+ */
+function parseLogFormats(children) {
+  /** @type {Object<string, { escape: string, template: string }>} */
+  const formats = {};
+  for (const [name, template] of Object.entries(PREDEFINED_LOG_FORMATS)) {
+    formats[name] = { escape: 'default', template };
+  }
+  for (const d of findDirectives(children || [], 'log_format')) {
+    const args = (d.args || []).map(String);
+    const name = args.shift();
+    if (!name) continue;
+    let escape = 'default';
+    if (args[0]?.startsWith('escape=')) escape = args.shift().slice(7);
+    formats[name] = { escape, template: args.join('') };
+  }
+  return formats;
+}
+
+/**
+ * @description 解析某一层级的 access_log，本层声明即替换上层；access_log off 关闭本层全部访问日志。
+ * 与 nginx 不同，未声明任何 access_log 时不会写默认的 logs/access.log，避免在工作区里生成意外的文件
+ * @param {object[]} children 所在层级的子节点
+ * @param {object[]} parent 上层的访问日志列表
+ * @param {{ formats: Object<string, { escape: string, template: string }>, baseDir: string }} env 日志格式与基础目录
+ * @returns {{ path: string, format: { escape: string, template: string }, condition: string }[]}
+ */
+function parseAccessLogs(children, parent, env) {
+  const dirs = findDirectives(children || [], 'access_log');
+  if (!dirs.length) return parent;
+  const logs = [];
+  for (const d of dirs) {
+    const args = (d.args || []).map(String);
+    if (!args[0] || args[0] === 'off') return [];
+    // 不支持 syslog 输出
+    if (args[0].startsWith('syslog:')) continue;
+    const formatName = args[1] && !args[1].includes('=') ? args[1] : 'combined';
+    const format = env.formats[formatName];
+    if (!format) throw new Error(`${d.file || 'nginx.conf'}: access_log 使用了未定义的 log_format "${formatName}"`);
+    const condition = args.find(a => a.startsWith('if='))?.slice(3) || '';
+    logs.push({ path: path.resolve(env.baseDir, args[0]), format, condition });
+  }
+  return logs;
+}
+
+/**
+ * @description 按 log_format 的 escape 参数转义变量值：default 将引号、反斜杠与不可打印字节转成 \xXX，
+ * json 按 JSON 字符串转义，none 不转义；空值在 json 以外的模式下记为 -
+ * @param {string} value 变量值
+ * @param {string} escape 转义模式
+ * @returns {string}
+ */
+function escapeLogValue(value, escape) {
+  if (value === '') return escape === 'json' ? '' : '-';
+  if (escape === 'json') return JSON.stringify(value).slice(1, -1);
+  if (escape === 'none') return value;
+  let out = '';
+  for (const byte of Buffer.from(value)) {
+    out += byte === 0x22 || byte === 0x5c || byte < 0x20 || byte > 0x7e
+      ? `\\x${byte.toString(16).toUpperCase().padStart(2, '0')}`
+      : String.fromCharCode(byte);
+  }
+  return out;
+}
+
+/**
+ * @description 解析 proxy_redirect / proxy_cookie_* 指令列表
+ * @param {object[]} dirs 同名指令节点
+ * @param {boolean} allowDefault 是否支持 default 形式
+ * @returns {object[]}
+ */
+function parseProxyRewriteRules(dirs, allowDefault) {
+  const rules = [];
+  for (const d of dirs) {
+    const args = (d.args || []).map(String);
+    if (args[0] === 'off') {
+      rules.length = 0;
+      continue;
+    }
+    if (allowDefault && args[0] === 'default') {
+      rules.push({ kind: 'default' });
+      continue;
+    }
+    if (args.length < 2) continue;
+    const from = args[0];
+    if (from.startsWith('~')) {
+      const caseless = from.startsWith('~*');
+      const source = from.slice(caseless ? 2 : 1);
+      rules.push({ kind: 'regex', regex: compileConfigRegex(source, caseless ? 'i' : '', d), replacement: args[1] });
+    } else {
+      rules.push({ kind: 'string', from, replacement: args[1] });
+    }
+  }
+  return rules;
+}
+
+/**
+ * @description 按 proxy_redirect / proxy_cookie_* 规则改写单个值，首条命中的规则生效
+ * @param {string} value 原始值
+ * @param {object[]} rules 改写规则
+ * @param {object} ctx 请求上下文
+ * @param {object} [loc] location 配置，用于展开 proxy_redirect default
+ * @param {boolean} [ignoreLeadingDot] 比较前忽略域名开头的点（proxy_cookie_domain）
+ * @returns {string}
+ */
+function applyProxyRewrite(value, rules, ctx, loc, ignoreLeadingDot) {
+  for (const rule of rules) {
+    let from = rule.from;
+    let replacement = rule.replacement;
+    if (rule.kind === 'default') {
+      // 与 nginx 一致：default 等价于 proxy_redirect <proxy_pass> <location 前缀>，正则 location 下不生效
+      if (!loc?.proxyPass || loc.kind === 'regex') continue;
+      const noProtocol = loc.proxyPass.replace(/^https?:\/\//, '');
+      if (noProtocol.includes('/')) {
+        from = loc.proxyPass;
+        replacement = loc.matcher;
+      } else {
+        from = `${loc.proxyPass}/`;
+        replacement = '/';
+      }
+    }
+    if (rule.kind === 'regex') {
+      const m = value.match(rule.regex);
+      if (!m) continue;
+      const regexCtx = { ...ctx, captures: Array.from(m, v => v ?? ''), vars: { ...ctx.vars, ...(m.groups || {}) } };
+      return value.slice(0, m.index) + expandNginxVariables(replacement, regexCtx) + value.slice(m.index + m[0].length);
+    }
+    let subject = value;
+    let prefix = '';
+    if (ignoreLeadingDot) {
+      from = from.replace(/^\./, '');
+      if (subject.startsWith('.')) {
+        prefix = '.';
+        subject = subject.slice(1);
+      }
+    }
+    const matched = ignoreLeadingDot
+      ? subject.toLowerCase() === from.toLowerCase()
+      : subject.toLowerCase().startsWith(String(from).toLowerCase());
+    if (!matched) continue;
+    return prefix + expandNginxVariables(replacement, ctx) + subject.slice(from.length);
+  }
+  return value;
+}
+
+/**
+ * @description 根据 proxy_* 配置处理上游响应头：隐藏、重定向改写与 Cookie 改写
+ * @param {http.IncomingHttpHeaders} upstreamHeaders 上游响应头
+ * @param {object} proxyConf location 的 proxy 头配置
+ * @param {object} ctx 请求上下文
+ * @param {object} [loc] location 配置
+ * @returns {http.OutgoingHttpHeaders}
+ */
+function transformProxyResponseHeaders(upstreamHeaders, proxyConf, ctx, loc) {
+  const hidden = new Set([...PROXY_DEFAULT_HIDDEN_HEADERS, ...proxyConf.hideHeaders]);
+  for (const h of proxyConf.passHeaders) hidden.delete(h);
+
+  /** @type {http.OutgoingHttpHeaders} */
+  const out = {};
+  for (const [key, value] of Object.entries(upstreamHeaders || {})) {
+    if (hidden.has(key.toLowerCase())) continue;
+    out[key] = value;
+  }
+
+  if (typeof out.location === 'string') {
+    out.location = applyProxyRewrite(out.location, proxyConf.redirects, ctx, loc);
+  }
+  if (typeof out.refresh === 'string') {
+    const m = out.refresh.match(/^(.*?url=)(.*)$/i);
+    if (m) out.refresh = m[1] + applyProxyRewrite(m[2], proxyConf.redirects, ctx, loc);
+  }
+  if (out['set-cookie'] && (proxyConf.cookieDomains.length || proxyConf.cookiePaths.length)) {
+    out['set-cookie'] = [].concat(out['set-cookie']).map(cookie => String(cookie)
+      .replace(/(;\s*domain=)([^;]*)/i, (_m, k, v) => k + applyProxyRewrite(v, proxyConf.cookieDomains, ctx, null, true))
+      .replace(/(;\s*path=)([^;]*)/i, (_m, k, v) => k + applyProxyRewrite(v, proxyConf.cookiePaths, ctx, null)));
+  }
+  return out;
+}
+
+/**
+ * @description add_header 默认只作用于这些状态码，其余状态需要 always 参数
+ */
+const ADD_HEADER_STATUS_CODES = new Set([200, 201, 204, 206, 301, 302, 303, 304, 307, 308]);
+
+/**
+ * @description 正在返回 error_page 的响应及其最终状态码（原错误码或 =code 指定的状态码）
+ * @type {WeakMap<http.ServerResponse, number>}
+ */
+const errorPageStatus = new WeakMap();
+
+/**
+ * @description 响应对应的请求上下文，用于展开 add_header 值中的变量
+ * @type {WeakMap<http.ServerResponse, object>}
+ */
+const responseContexts = new WeakMap();
+
+/**
+ * @description 写出响应头，并按 add_header 规则追加配置中的响应头；返回 error_page 时状态码以 errorPageStatus 为准
+ * add_header 的值按请求上下文展开变量，与 nginx 一致，展开后为空的头部不输出
+ * @param {http.ServerResponse} res 客户端响应
+ * @param {number} statusCode 状态码
+ * @param {http.OutgoingHttpHeaders} headers 原始响应头
+ * @param {{ name: string, value: string, always: boolean }[]} [addHeaders] 生效的 add_header 列表
+ */
+function writeResponseHead(res, statusCode, headers, addHeaders) {
+  statusCode = errorPageStatus.get(res) ?? statusCode;
+  const out = { ...(headers || {}) };
+  const ctx = responseContexts.get(res);
+  for (const h of addHeaders || []) {
+    if (!h.always && !ADD_HEADER_STATUS_CODES.has(statusCode)) continue;
+    const value = ctx ? expandNginxVariables(h.value, ctx) : h.value;
+    if (!value) continue;
+    const key = Object.keys(out).find(k => k.toLowerCase() === h.name.toLowerCase()) || h.name;
+    const prev = out[key];
+    out[key] = prev === undefined ? value : [].concat(prev, value);
+  }
+  res.writeHead(statusCode, out);
+}
+
+/**
+ * @description 判断客户端是否接受某种内容编码（q=0 视为拒绝）
+ * @param {http.IncomingMessage} req 客户端请求
+ * @param {string} encoding 编码名，如 gzip、br
+ * @returns {boolean}
+ */
+function acceptsEncoding(req, encoding) {
+  const header = String(req.headers['accept-encoding'] || '').toLowerCase();
+  for (const part of header.split(',')) {
+    const [name, ...params] = part.trim().split(';').map(x => x.trim());
+    if (name !== encoding && name !== '*') continue;
+    const q = params.find(p => p.startsWith('q='));
+    return !q || parseFloat(q.slice(2)) > 0;
+  }
+  return false;
+}
+
+/**
+ * @description 判断某个 Content-Type 是否在 gzip_types 范围内
+ * @param {object} gzipConf gzip 配置
+ * @param {string} contentType 响应类型
+ * @returns {boolean}
+ */
+function isGzipType(gzipConf, contentType) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  return gzipConf.types.has('*') || gzipConf.types.has(type);
+}
+
+/**
+ * @description 判断是否应对响应做实时 gzip 压缩
+ * @param {http.IncomingMessage} req 客户端请求
+ * @param {object} gzipConf gzip 配置
+ * @param {number} statusCode 响应状态码
+ * @param {http.IncomingHttpHeaders | http.OutgoingHttpHeaders} headers 响应头
+ * @returns {boolean}
+ */
+function shouldGzipResponse(req, gzipConf, statusCode, headers) {
+  if (!gzipConf?.enabled || req.method === 'HEAD') return false;
+  if (statusCode < 200 || statusCode === 204 || statusCode === 304) return false;
+  if (headers['content-encoding']) return false;
+  // 与 gzip_proxied off 一致：来自代理（带 Via 头）的请求不压缩
+  if (req.headers.via && gzipConf.proxied.includes('off')) return false;
+  if (!isGzipType(gzipConf, headers['content-type'])) return false;
+  const length = Number(headers['content-length']);
+  if (headers['content-length'] !== undefined && length < gzipConf.minLength) return false;
+  return acceptsEncoding(req, 'gzip');
+}
+
+/**
+ * @description 在响应头上追加 Vary: Accept-Encoding（已存在时不重复添加）
+ * @param {http.OutgoingHttpHeaders} headers 响应头
+ */
+function addVaryAcceptEncoding(headers) {
+  const key = Object.keys(headers).find(k => k.toLowerCase() === 'vary');
+  const prev = key ? String(headers[key]) : '';
+  if (/accept-encoding/i.test(prev)) return;
+  if (key) delete headers[key];
+  headers.Vary = prev ? `${prev}, Accept-Encoding` : 'Accept-Encoding';
+}
+
+/**
+ * @description 判断条件请求（If-None-Match / If-Modified-Since）是否命中，命中时应返回 304
+ * @param {http.IncomingMessage} req 客户端请求
+ * @param {string | null} etag 当前 ETag
+ * @param {string} lastModified 当前 Last-Modified
+ * @returns {boolean}
+ */
+function isNotModified(req, etag, lastModified) {
+  const inm = req.headers['if-none-match'];
+  if (inm) {
+    if (!etag) return false;
+    const bare = etag.replace(/^W\//, '');
+    return inm.trim() === '*' || inm.split(',').some(t => t.trim().replace(/^W\//, '') === bare);
+  }
+  // 与 nginx 默认的 if_modified_since exact 一致：时间完全相同才返回 304
+  const ims = req.headers['if-modified-since'];
+  return !!ims && Date.parse(ims) === Date.parse(lastModified);
+}
+
+/**
+ * @description 解析单段 Range 请求头，多段或无法识别时返回 null（按完整内容返回）
+ * @param {string} header Range 请求头
+ * @param {number} size 文件大小
+ * @returns {{ start: number, end: number } | 'unsatisfiable' | null}
+ */
+function parseRangeHeader(header, size) {
+  const m = String(header || '').match(/^bytes=\s*(\d*)\s*-\s*(\d*)\s*$/);
+  if (!m || (!m[1] && !m[2])) return null;
+  let start;
+  let end;
+  if (!m[1]) {
+    // bytes=-N 表示最后 N 个字节
+    const suffix = parseInt(m[2], 10);
+    if (!suffix) return 'unsatisfiable';
+    start = Math.max(0, size - suffix);
+    end = size - 1;
+  } else {
+    start = parseInt(m[1], 10);
+    end = m[2] ? Math.min(parseInt(m[2], 10), size - 1) : size - 1;
+  }
+  if (start >= size || start > end) return 'unsatisfiable';
+  return { start, end };
+}
+
+/**
+ * @description 发送静态文件：优先使用 gzip_static/brotli_static 的预压缩文件，其次按 gzip 配置实时压缩；
+ * 同时处理 ETag/Last-Modified 条件请求、Range、HEAD 与 expires
+ * @param {http.IncomingMessage} req 客户端请求
+ * @param {http.ServerResponse} res 客户端响应
+ * @param {string} filePath 文件路径
+ * @param {fs.Stats} stats 文件信息
+ * @param {string} contentType 响应类型
+ * @param {object} loc 生效的配置层级（location 或 server），提供 gzip 与 cache 配置
+ * @param {{ name: string, value: string, always: boolean }[]} addHeaders 生效的 add_header 列表
+ * @param {vscode.OutputChannel} output 输出通道
+ */
+async function sendStaticFile(req, res, filePath, stats, contentType, loc, addHeaders, output) {
+  // 作为 error_page 返回时使用错误状态码，与 nginx 一样此时不处理条件请求与 Range
+  const status = errorPageStatus.get(res) ?? 200;
+  const gzipConf = loc.gzip;
+  const cacheConf = loc.cache;
+  /** @type {http.OutgoingHttpHeaders} */
+  const headers = { 'Content-Type': contentType };
+  const eligible = gzipConf && (gzipConf.static !== 'off' || gzipConf.brotliStatic !== 'off' || (gzipConf.enabled && isGzipType(gzipConf, contentType)));
+  if (eligible && gzipConf.vary) addVaryAcceptEncoding(headers);
+
+  // 预压缩文件：always 时不检查 Accept-Encoding
+  let sendPath = filePath;
+  let sendStats = stats;
+  const candidates = [];
+  if (gzipConf?.brotliStatic === 'always' || (gzipConf?.brotliStatic === 'on' && acceptsEncoding(req, 'br'))) {
+    candidates.push({ suffix: '.br', encoding: 'br' });
+  }
+  if (gzipConf?.static === 'always' || (gzipConf?.static === 'on' && acceptsEncoding(req, 'gzip'))) {
+    candidates.push({ suffix: '.gz', encoding: 'gzip' });
+  }
+  for (const c of candidates) {
+    try {
+      const compressedStats = await fs.promises.stat(filePath + c.suffix);
+      if (!compressedStats.isFile()) continue;
+      output.appendLine(`  - 使用预压缩文件: ${filePath + c.suffix}`);
+      headers['Content-Encoding'] = c.encoding;
+      sendPath = filePath + c.suffix;
+      sendStats = compressedStats;
+      break;
+    } catch {
+      // 没有预压缩文件，继续尝试下一种
+    }
+  }
+
+  const gzipOnTheFly = sendPath === filePath
+    && shouldGzipResponse(req, gzipConf, status, { 'content-type': contentType, 'content-length': String(stats.size) });
+
+  // 与 nginx 一致：ETag 为 "修改时间-大小" 的十六进制；实时压缩时降级为弱 ETag
+  const lastModified = sendStats.mtime.toUTCString();
+  let etag = null;
+  if (cacheConf?.etag !== false) {
+    etag = `"${Math.floor(sendStats.mtimeMs / 1000).toString(16)}-${sendStats.size.toString(16)}"`;
+    if (gzipOnTheFly) etag = `W/${etag}`;
+  }
+  headers['Last-Modified'] = lastModified;
+  if (etag) headers['ETag'] = etag;
+  applyExpiresHeaders(headers, cacheConf?.expires, status, sendStats.mtimeMs);
+
+  if (status === 200 && isNotModified(req, etag, lastModified)) {
+    const notModified = { ...headers };
+    delete notModified['Content-Type'];
+    delete notModified['Content-Encoding'];
+    writeResponseHead(res, 304, notModified, addHeaders);
+    res.end();
+    return;
+  }
+
+  // 响应头已经发出，读取或压缩失败时只能断开连接；客户端提前断开不记录
+  const onSent = err => {
+    if (!err) return;
+    if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') output.appendLine(`[错误] 发送文件失败 ${sendPath}: ${err.message}`);
+    res.destroy();
+  };
+
+  if (gzipOnTheFly) {
+    headers['Content-Encoding'] = 'gzip';
+    writeResponseHead(res, 200, headers, addHeaders);
+    if (req.method === 'HEAD') {
+      res.end();
+      return;
+    }
+    pipeline(fs.createReadStream(sendPath), zlib.createGzip({ level: gzipConf.level }), res, onSent);
+    return;
+  }
+
+  headers['Accept-Ranges'] = 'bytes';
+  const size = sendStats.size;
+  let range = status === 200 && req.headers.range ? parseRangeHeader(req.headers.range, size) : null;
+  // If-Range 与当前 ETag / Last-Modified 不一致时忽略 Range，返回完整内容
+  const ifRange = req.headers['if-range'];
+  if (range && ifRange && ifRange !== etag && ifRange !== lastModified) range = null;
+
+  if (range === 'unsatisfiable') {
+    writeResponseHead(res, 416, { 'Content-Range': `bytes */${size}` }, addHeaders);
+    res.end();
+    return;
+  }
+  if (range) {
+    headers['Content-Range'] = `bytes ${range.start}-${range.end}/${size}`;
+    headers['Content-Length'] = range.end - range.start + 1;
+    writeResponseHead(res, 206, headers, addHeaders);
+    if (req.method === 'HEAD') {
+      res.end();
+      return;
+    }
+    pipeline(fs.createReadStream(sendPath, { start: range.start, end: range.end }), res, onSent);
+    return;
+  }
+
+  headers['Content-Length'] = size;
+  writeResponseHead(res, 200, headers, addHeaders);
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+  pipeline(fs.createReadStream(sendPath), res, onSent);
+}
+
+/**
+ * @description 输出 return 指令（或 rewrite redirect/permanent）对应的响应
+ * @param {http.ServerResponse} res 客户端响应
+ * @param {{ code: number, text?: string }} result rewrite 执行结果
+ * @param {object} ctx 请求上下文
+ * @param {{ name: string, value: string, always: boolean }[]} addHeaders 生效的 add_header 列表
+ */
+function sendReturnResponse(res, result, ctx, addHeaders) {
+  const { code, text } = result;
+  // 444 是 nginx 的特殊状态：直接关闭连接，不发送响应
+  if (code === 444) {
+    ctx.req.socket.destroy();
+    return;
+  }
+  if ([301, 302, 303, 307, 308].includes(code)) {
+    writeResponseHead(res, code, { Location: resolveReturnLocation(text, ctx), 'Content-Type': 'text/plain' }, addHeaders);
+    res.end(`${code} ${http.STATUS_CODES[code] || ''}`);
+    return;
+  }
+  const body = text === undefined ? `${code} ${http.STATUS_CODES[code] || ''}` : text;
+  writeResponseHead(res, code, { 'Content-Type': ctx.cfg.defaultType || 'text/plain' }, addHeaders);
+  res.end(body);
+}
+
+/**
+ * @description 生成重定向的 Location：以 / 开头的 URI 按当前请求的 scheme 与 Host 补全为完整 URL
+ * @param {string | undefined} text return / rewrite 给出的地址
+ * @param {object} ctx 请求上下文
+ * @returns {string}
+ */
+function resolveReturnLocation(text, ctx) {
+  const location = text || '';
+  return location.startsWith('/')
+    ? `${getNginxVariable('scheme', ctx)}://${ctx.req.headers.host || 'localhost'}${location}`
+    : location;
+}
+
+/**
+ * @description 目录列表中文件名的显示宽度，与 nginx 的 NGX_HTTP_AUTOINDEX_NAME_LEN 一致
+ */
+const AUTOINDEX_NAME_LEN = 50;
+
+/**
+ * @description 转义 HTML 文本中的特殊字符
+ * @param {string} text 原始文本
+ * @returns {string}
+ */
+function escapeHtmlText(text) {
+  return String(text).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch]);
+}
+
+/**
+ * @description 读取目录项：跳过以 . 开头的隐藏文件，目录在前，再按名称的字节序排列
+ * @param {string} dirPath 目录路径
+ * @returns {Promise<{ name: string, type: string, mtime: Date, size: number }[]>}
+ */
+async function readAutoindexEntries(dirPath) {
+  const names = (await fs.promises.readdir(dirPath)).filter(name => !name.startsWith('.'));
+  const entries = [];
+  for (const name of names) {
+    const full = path.join(dirPath, name);
+    // 与 nginx 一致：失效的符号链接按链接本身的信息列出
+    const stats = await fs.promises.stat(full).catch(() => fs.promises.lstat(full).catch(() => null));
+    if (!stats) continue;
+    const type = stats.isDirectory() ? 'directory' : stats.isFile() ? 'file' : 'other';
+    entries.push({ name, type, mtime: stats.mtime, size: stats.size });
+  }
+  return entries.sort((a, b) => {
+    if ((a.type === 'directory') !== (b.type === 'directory')) return a.type === 'directory' ? -1 : 1;
+    return Buffer.compare(Buffer.from(a.name), Buffer.from(b.name));
+  });
+}
+
+/**
+ * @description 按 autoindex_exact_size off 的规则把字节数换算为 K/M/G（四舍五入）
+ * @param {number} size 字节数
+ * @returns {string} 7 个字符宽的大小
+ */
+function formatAutoindexSize(size) {
+  const scaled = (unit, scale) => `${String(Math.floor(size / unit) + (size % unit > unit / 2 - 1 ? 1 : 0)).padStart(6)}${scale}`;
+  if (size > 1024 * 1024 * 1024 - 1) return scaled(1024 * 1024 * 1024, 'G');
+  if (size > 1024 * 1024 - 1) return scaled(1024 * 1024, 'M');
+  if (size > 9999) return scaled(1024, 'K');
+  return ` ${String(size).padStart(6)}`;
+}
+
+/**
+ * @description 按 nginx 的样式生成 HTML 目录列表
+ * @param {string} uri 目录的 URI
+ * @param {object[]} entries 目录项
+ * @param {{ exactSize: boolean, localtime: boolean }} conf autoindex 配置
+ * @returns {string}
+ */
+function renderAutoindexHtml(uri, entries, conf) {
+  const pad = n => String(n).padStart(2, '0');
+  const lines = entries.map(entry => {
+    const dir = entry.type === 'directory';
+    const chars = Array.from(entry.name);
+    let len = chars.length;
+    let label;
+    if (len > AUTOINDEX_NAME_LEN) {
+      label = `${escapeHtmlText(chars.slice(0, AUTOINDEX_NAME_LEN - 3).join(''))}..&gt;</a>`;
+    } else {
+      label = escapeHtmlText(entry.name);
+      if (dir && len < AUTOINDEX_NAME_LEN) {
+        label += '/';
+        len++;
+      }
+      label += `</a>${' '.repeat(AUTOINDEX_NAME_LEN - len)}`;
+    }
+    const d = entry.mtime;
+    const date = conf.localtime
+      ? `${pad(d.getDate())}-${LOG_MONTHS[d.getMonth()]}-${d.getFullYear()} ${pad(d.getHours())}:${pad(d.getMinutes())}`
+      : `${pad(d.getUTCDate())}-${LOG_MONTHS[d.getUTCMonth()]}-${d.getUTCFullYear()} ${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}`;
+    let size;
+    if (conf.exactSize) size = dir ? '-'.padStart(19) : String(entry.size).padStart(19);
+    else size = dir ? '-'.padStart(7) : formatAutoindexSize(entry.size);
+    return `<a href="${encodeURIComponent(entry.name)}${dir ? '/' : ''}">${label} ${date} ${size}\r\n`;
+  });
+  const title = escapeHtmlText(uri);
+  return `<html>\r\n<head><title>Index of ${title}</title></head>\r\n<body>\r\n<h1>Index of ${title}</h1><hr><pre><a href="../">../</a>\r\n`
+    + lines.join('')
+    + '</pre><hr></body>\r\n</html>\r\n';
+}
+
+/**
+ * @description 按 nginx 的样式生成 JSON 目录列表，mtime 为 GMT 的 HTTP 日期
+ * @param {object[]} entries 目录项
+ * @returns {string}
+ */
+function renderAutoindexJson(entries) {
+  const items = entries.map(entry => `{ "name":${JSON.stringify(entry.name)}, "type":"${entry.type}", "mtime":"${entry.mtime.toUTCString()}"`
+    + (entry.type === 'file' ? `, "size":${entry.size} }` : ' }'));
+  return `[\r\n${items.join(',\r\n')}${items.length ? '\r\n' : ''}]\r\n`;
+}
+
+/**
+ * @description 按 nginx 的样式生成 XML 目录列表，mtime 为 UTC 的 ISO 8601 时间
+ * @param {object[]} entries 目录项
+ * @returns {string}
+ */
+function renderAutoindexXml(entries) {
+  const items = entries.map(entry => {
+    const mtime = entry.mtime.toISOString().replace(/\.\d{3}Z$/, 'Z');
+    const size = entry.type === 'file' ? ` size="${entry.size}"` : '';
+    return `<${entry.type} mtime="${mtime}"${size}>${escapeHtmlText(entry.name)}</${entry.type}>\r\n`;
+  });
+  return `<?xml version="1.0"?>\r\n<list>\r\n${items.join('')}</list>\r\n`;
+}
+
+/**
+ * @description 返回 autoindex 目录列表；jsonp 格式的回调名取自 callback 参数，只允许字母、数字、_ 与 .
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {string} dirPath 目录路径
+ * @param {object} ctx 请求上下文
+ * @param {{ format: string, exactSize: boolean, localtime: boolean }} conf autoindex 配置
+ * @param {{ name: string, value: string, always: boolean }[]} addHeaders 生效的 add_header 列表
+ */
+async function sendAutoindex(req, res, dirPath, ctx, conf, addHeaders) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    writeResponseHead(res, 405, { 'Content-Type': 'text/plain' }, addHeaders);
+    res.end('405 Method Not Allowed');
+    return;
+  }
+  const entries = await readAutoindexEntries(dirPath);
+  let body;
+  let contentType;
+  if (conf.format === 'json' || conf.format === 'jsonp') {
+    const callback = conf.format === 'jsonp' ? new URLSearchParams(ctx.args).get('callback') || '' : '';
+    if (callback.length > AUTOINDEX_NAME_LEN || /[^A-Za-z0-9_.]/.test(callback)) {
+      writeResponseHead(res, 400, { 'Content-Type': 'text/plain' }, addHeaders);
+      res.end('400 Bad Request');
+      return;
+    }
+    body = renderAutoindexJson(entries);
+    contentType = 'application/json';
+    if (callback) {
+      body = `${callback}(${body});`;
+      contentType = 'application/javascript';
+    }
+  } else if (conf.format === 'xml') {
+    body = renderAutoindexXml(entries);
+    contentType = 'text/xml';
+  } else {
+    body = renderAutoindexHtml(ctx.uri, entries, conf);
+    contentType = 'text/html';
+  }
+  const data = Buffer.from(body);
+  writeResponseHead(res, 200, { 'Content-Type': contentType, 'Content-Length': data.length }, addHeaders);
+  res.end(req.method === 'HEAD' ? undefined : data);
+}
+
+/**
+ * @description 构建发往上游的请求参数：默认 Host 为 $proxy_host，再应用 proxy_set_header
+ * @param {http.IncomingMessage} clientReq 客户端请求
+ * @param {URL} targetUrl 上游地址
+ * @param {object} loc 匹配到的 location 配置
+ * @param {object} ctx 请求上下文
+ * @returns {http.RequestOptions & { headers: http.OutgoingHttpHeaders }}
+ */
+function buildProxyRequestOptions(clientReq, targetUrl, loc, ctx) {
+  const isHttps = targetUrl.protocol === 'https:';
+  const options = {
+    hostname: targetUrl.hostname,
+    port: targetUrl.port || (isHttps ? 443 : 80),
+    path: targetUrl.pathname + (targetUrl.search || ''),
+    // error_page 内部重定向后 nginx 以 GET 请求错误页面
+    method: ctx?.method || clientReq.method,
+    headers: { ...clientReq.headers }
+  };
+
+  // 调整 Host 头（等价于 nginx 默认的 proxy_set_header Host $proxy_host）
+  options.headers.host = targetUrl.host;
+  // 移除干扰头
+  delete options.headers.connection;
+  delete options.headers['content-length'];
+
+  // proxy_set_header：值为空字符串时不向上游发送该头
+  ctx.vars.proxy_host = targetUrl.host;
+  ctx.vars.proxy_port = String(options.port);
+  for (const h of loc?.proxy?.setHeaders || []) {
+    const key = h.name.toLowerCase();
+    const value = expandNginxVariables(h.value, ctx);
+    if (value === '') {
+      delete options.headers[key];
+    } else {
+      options.headers[key] = value;
+    }
+  }
+  return options;
+}
+
+/**
+ * @description 32 位 FNV-1a 哈希，用于 ip_hash / hash 负载均衡
+ * @param {string} str
+ * @returns {number}
+ */
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * @description 判断 upstream 中的服务器当前是否可用：未标记 down、未达到 max_conns，
+ * 且不处于 max_fails 次失败后的 fail_timeout 冷却期
+ * @param {object} peer upstream 服务器
+ * @param {number} now 当前时间戳
+ * @returns {boolean}
+ */
+function isPeerAvailable(peer, now) {
+  if (peer.down) return false;
+  if (peer.maxConns && peer.active >= peer.maxConns) return false;
+  return !(peer.maxFails && peer.fails >= peer.maxFails && now - peer.checked <= peer.failTimeout);
+}
+
+/**
+ * @description nginx 的平滑加权轮询：每轮各服务器累加自身权重，选出当前权重最大者并减去总权重
+ * @param {object[]} peers 候选服务器（非空）
+ * @returns {object}
+ */
+function pickWeightedRoundRobin(peers) {
+  let total = 0;
+  let best = null;
+  for (const peer of peers) {
+    peer.currentWeight += peer.weight;
+    total += peer.weight;
+    if (!best || peer.currentWeight > best.currentWeight) best = peer;
+  }
+  best.currentWeight -= total;
+  return best;
+}
+
+/**
+ * @description 按 ip_hash / hash 计算请求应落到的服务器；
+ * 与 nginx 一致，ip_hash 只取 IPv4 地址的前三段，选中的服务器不可用时重新计算，最多 20 次
+ * @param {object} group upstream 服务器组
+ * @param {object} ctx 请求上下文
+ * @param {Set<object>} tried 本次请求已尝试过的服务器
+ * @param {number} now 当前时间戳
+ * @returns {object | null}
+ */
+function pickHashedPeer(group, ctx, tried, now) {
+  const peers = group.peers.filter(p => !p.backup);
+  if (!peers.length) return null;
+  const usable = peer => !tried.has(peer) && isPeerAvailable(peer, now);
+  let key;
+  if (group.method === 'ip_hash') {
+    const addr = String(ctx.req.socket?.remoteAddress || '').replace(/^::ffff:/, '');
+    key = net.isIPv4(addr) ? addr.split('.').slice(0, 3).join('.') : addr;
+  } else {
+    key = expandNginxVariables(group.hashKey, ctx);
+  }
+
+  if (group.consistent) {
+    // 一致性哈希：每个权重单位在环上放 160 个虚拟节点
+    if (!group.ring) {
+      group.ring = peers
+        .flatMap(peer => Array.from({ length: peer.weight * 160 }, (_, i) => ({ point: hashString(`${peer.name}-${i}`), peer })))
+        .sort((a, b) => a.point - b.point);
+    }
+    const point = hashString(key);
+    const start = group.ring.findIndex(e => e.point >= point);
+    for (let i = 0; i < group.ring.length; i++) {
+      const entry = group.ring[((start < 0 ? 0 : start) + i) % group.ring.length];
+      if (usable(entry.peer)) return entry.peer;
+    }
+    return null;
+  }
+
+  const totalWeight = peers.reduce((sum, p) => sum + p.weight, 0);
+  for (let attempt = 0; attempt < 20; attempt++) {
+    let w = hashString(attempt ? `${key}#${attempt}` : key) % totalWeight;
+    const peer = peers.find(p => (w -= p.weight) < 0);
+    if (peer && usable(peer)) return peer;
+  }
+  return null;
+}
+
+/**
+ * @description 为一次尝试从 upstream 组中选择服务器：主服务器全部不可用时才使用 backup
+ * @param {object} group upstream 服务器组
+ * @param {object} ctx 请求上下文
+ * @param {Set<object>} tried 本次请求已尝试过的服务器
+ * @returns {object | null} 没有可用服务器时返回 null
+ */
+function pickUpstreamPeer(group, ctx, tried) {
+  const now = Date.now();
+  if (group.method === 'ip_hash' || group.method === 'hash') {
+    const peer = pickHashedPeer(group, ctx, tried, now);
+    // 哈希选不到可用服务器时与 nginx 一样退回加权轮询
+    if (peer) return peer;
+  }
+  const usable = peers => peers.filter(p => !tried.has(p) && isPeerAvailable(p, now));
+  let candidates = usable(group.peers.filter(p => !p.backup));
+  if (!candidates.length) candidates = usable(group.peers.filter(p => p.backup));
+  if (!candidates.length) return null;
+  if (group.method === 'least_conn') {
+    const min = Math.min(...candidates.map(p => p.active / p.weight));
+    candidates = candidates.filter(p => p.active / p.weight === min);
+  }
+  return pickWeightedRoundRobin(candidates);
+}
+
+/**
+ * @description 记录 upstream 服务器的一次失败；连续失败达到 max_fails 后在 fail_timeout 内不再分配请求
+ * 与 nginx 一致，组内只有一台服务器时不会被标记为不可用
+ * @param {object} group upstream 服务器组
+ * @param {object} peer 失败的服务器
+ * @param {string} reason 失败原因
+ * @param {vscode.OutputChannel} output 输出通道
+ */
+function recordPeerFailure(group, peer, reason, output) {
+  peer.lastError = reason;
+  if (group.peers.length < 2) return;
+  peer.fails++;
+  peer.checked = Date.now();
+  if (peer.maxFails && peer.fails === peer.maxFails) {
+    output.appendLine(`[警告] upstream ${group.name} 的服务器 ${peer.name} 失败 ${peer.fails} 次，${peer.failTimeout / 1000}s 内标记为不可用`);
+    // 冷却期结束时刷新树视图中的状态
+    setTimeout(scheduleTreeRefresh, peer.failTimeout + 50).unref();
+  }
+  scheduleTreeRefresh();
+}
+
+/**
+ * @description 查找 proxy_pass 指向的 upstream 组；与 nginx 一致，地址中显式带端口时不匹配 upstream 名称
+ * @param {URL} targetUrl 上游地址
+ * @param {object} ctx 请求上下文
+ * @returns {object | undefined}
+ */
+function findUpstreamGroup(targetUrl, ctx) {
+  if (targetUrl.port) return undefined;
+  const upstreams = ctx.cfg.upstreams || {};
+  return Object.prototype.hasOwnProperty.call(upstreams, targetUrl.hostname) ? upstreams[targetUrl.hostname] : undefined;
+}
+
+/**
+ * @description 完整读取客户端请求体（等价于 nginx 默认的 proxy_request_buffering on），以便切换上游时重新发送
+ * @param {http.IncomingMessage} req 客户端请求
+ * @returns {Promise<Buffer>}
+ */
+function readRequestBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * @description 解析上游主机的全部地址，与 nginx 一致：域名解析出多个地址时依次尝试
+ * @param {string} hostname 主机名或 IP（IPv6 可带方括号）
+ * @param {number|string} port 端口
+ * @returns {Promise<{ address: string, port: number|string }[]>}
+ */
+async function resolveProxyPeers(hostname, port) {
+  const host = String(hostname).replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) return [{ address: host, port }];
+  try {
+    const addresses = await dns.promises.lookup(host, { all: true });
+    return addresses.map(a => ({ address: a.address, port }));
+  } catch {
+    // 解析失败时交给请求本身报错，日志中能看到原始错误
+    return [{ address: host, port }];
+  }
+}
+
+/**
+ * @description 格式化上游地址，IPv6 加方括号
+ * @param {{ address?: string, port?: number|string, name?: string }} peer 解析出的地址，或 upstream 中的服务器
+ * @returns {string}
+ */
+function formatPeer(peer) {
+  if (peer.name) return peer.name;
+  return `${net.isIPv6(peer.address) ? `[${peer.address}]` : peer.address}:${peer.port}`;
+}
+
+/**
+ * @description 向单个上游地址发送请求，分阶段计时：
+ * 连接阶段按 proxy_connect_timeout，发送请求期间按 proxy_send_timeout，之后两次读取之间按 proxy_read_timeout
+ * @param {typeof http | typeof https} requestLib http 或 https 模块
+ * @param {https.RequestOptions} options 请求参数
+ * @param {Buffer} body 已缓冲的请求体
+ * @param {object} policy 上游超时与重试配置（parseProxyUpstreamConf 的结果）
+ * @param {(phase: string) => void} onLateTimeout 已收到响应头之后再超时时的回调
+ * @returns {Promise<{ proxyReq?: http.ClientRequest, proxyRes?: http.IncomingMessage, failure?: { reason: string, phase: string, message: string, sent: boolean } }>}
+ */
+function sendUpstreamRequest(requestLib, options, body, policy, onLateTimeout) {
+  return new Promise((resolve) => {
+    const timeouts = { connect: policy.connectTimeout, send: policy.sendTimeout, read: policy.readTimeout };
+    let phase = 'connect';
+    let settled = false;
+    let bodySent = false;
+    /** @type {NodeJS.Timeout | undefined} */
+    let connectTimer;
+    // 与 nginx 默认行为一致：不复用上游连接，每个请求新建连接，超时计时也互不影响
+    const proxyReq = requestLib.request({ ...options, agent: false });
+
+    const fail = (reason, message) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(connectTimer);
+      proxyReq.destroy();
+      resolve({ failure: { reason, phase, message, sent: phase !== 'connect' } });
+    };
+    const timeoutMessage = () => `proxy_${phase}_timeout (${timeouts[phase]}ms) 已到`;
+
+    proxyReq.on('socket', (socket) => {
+      const onConnected = () => {
+        clearTimeout(connectTimer);
+        phase = bodySent ? 'read' : 'send';
+        socket.setTimeout(timeouts[phase]);
+      };
+      socket.on('timeout', () => {
+        if (!settled) {
+          fail('timeout', timeoutMessage());
+          return;
+        }
+        proxyReq.destroy();
+        onLateTimeout(phase);
+      });
+      if (socket.connecting) {
+        connectTimer = setTimeout(() => fail('timeout', timeoutMessage()), timeouts.connect);
+        socket.once('connect', onConnected);
+      } else {
+        onConnected();
+      }
+    });
+
+    proxyReq.on('finish', () => {
+      bodySent = true;
+      if (phase === 'send') {
+        phase = 'read';
+        proxyReq.socket?.setTimeout(timeouts.read);
+      }
+    });
+
+    proxyReq.on('response', (proxyRes) => {
+      if (settled) {
+        proxyRes.resume();
+        return;
+      }
+      settled = true;
+      resolve({ proxyReq, proxyRes });
+    });
+
+    proxyReq.on('error', (err) => fail('error', err.message));
+
+    if (body.length) {
+      proxyReq.end(body);
+    } else {
+      proxyReq.end();
+    }
+  });
+}
+
+/**
+ * @description 将上游响应转发给客户端：改写响应头、应用 expires / add_header，并按 gzip 配置实时压缩
+ * @param {http.IncomingMessage} clientReq 客户端请求
+ * @param {http.ServerResponse} clientRes 客户端响应
+ * @param {http.IncomingMessage} proxyRes 上游响应
+ * @param {object} loc 匹配到的 location 配置
+ * @param {object} ctx 请求上下文
+ */
+function relayProxyResponse(clientReq, clientRes, proxyRes, loc, ctx) {
+  const proxyConf = loc?.proxy;
+  const headers = proxyConf
+    ? transformProxyResponseHeaders(proxyRes.headers, proxyConf, ctx, loc)
+    : { ...proxyRes.headers };
+  applyExpiresHeaders(headers, loc?.cache?.expires, proxyRes.statusCode);
+  // 上游中途断开时同样断开客户端，避免客户端一直等待
+  proxyRes.on('error', () => clientRes.destroy());
+  const gzipConf = loc?.gzip;
+  if (gzipConf?.vary && !headers['content-encoding'] && gzipConf.enabled && isGzipType(gzipConf, headers['content-type'])) {
+    addVaryAcceptEncoding(headers);
+  }
+  if (shouldGzipResponse(clientReq, gzipConf, proxyRes.statusCode, headers)) {
+    delete headers['content-length'];
+    headers['content-encoding'] = 'gzip';
+    writeResponseHead(clientRes, proxyRes.statusCode, headers, loc?.addHeaders);
+    pipeline(proxyRes, zlib.createGzip({ level: gzipConf.level }), clientRes, err => {
+      if (err) clientRes.destroy();
+    });
+    return;
+  }
+  writeResponseHead(clientRes, proxyRes.statusCode, headers, loc?.addHeaders);
+  proxyRes.pipe(clientRes);
+}
+
+/**
+ * @description mock 模式的显示名称
+ */
+const MOCK_MODE_LABELS = { real: '真实上游', mock: 'mock', mockOnFailure: '失败时 mock', replay: '回放录制' };
+
+/**
+ * @description 获取 proxy_pass location 的 mock 模式：mockLocations 中按 location（如 "/api/"、"~ ^/v2/"）单独设置，否则使用 mockMode
+ * @param {object} loc location 配置
+ * @returns {'real' | 'mock' | 'mockOnFailure' | 'replay'}
+ */
+function getMockMode(loc) {
+  const byLocation = getConfig().get('mockLocations') || {};
+  const mode = byLocation[formatLocationMatcher(loc)] || getConfig().get('mockMode');
+  return ['mock', 'mockOnFailure', 'replay'].includes(mode) ? mode : 'real';
+}
+
+/**
+ * @description 获取 mock fixture 目录的绝对路径
+ * @returns {string}
+ */
+function getMockFixturesDir() {
+  return resolvePathInWorkspace(String(getConfig().get('mockFixturesDir') || 'mocks').trim());
+}
+
+/**
+ * @description 在目录中挑选与请求方法、查询参数匹配的 fixture 文件
+ * 文件名为 METHOD[@查询条件].扩展名，ANY 匹配任意方法，查询条件形如 id=1&page=2（只写名称表示参数存在即可）；
+ * 条件多者优先，其次是方法精确匹配者
+ * @param {string} dir 目录
+ * @param {string} method 请求方法
+ * @param {URLSearchParams} query 查询参数
+ * @returns {Promise<string | null>}
+ */
+async function pickMockFile(dir, method, query) {
+  let names;
+  try {
+    names = await fs.promises.readdir(dir);
+  } catch {
+    return null;
+  }
+  const wanted = method === 'HEAD' ? ['HEAD', 'GET'] : [method];
+  const candidates = [];
+  for (const name of names) {
+    const m = name.match(/^([A-Za-z]+)(?:@(.*))?\.[^.]+$/);
+    if (!m) continue;
+    const fileMethod = m[1].toUpperCase();
+    if (fileMethod !== 'ANY' && !wanted.includes(fileMethod)) continue;
+    const conditions = m[2] ? m[2].split('&').filter(Boolean) : [];
+    const matched = conditions.every(cond => {
+      const eq = cond.indexOf('=');
+      const key = safeDecodeURIComponent(eq === -1 ? cond : cond.slice(0, eq));
+      return eq === -1 ? query.has(key) : query.getAll(key).includes(safeDecodeURIComponent(cond.slice(eq + 1)));
+    });
+    if (matched) candidates.push({ name, conditions: conditions.length, exact: fileMethod === method ? 1 : 0 });
+  }
+  candidates.sort((a, b) => b.conditions - a.conditions || b.exact - a.exact || a.name.localeCompare(b.name));
+  return candidates.length ? path.join(dir, candidates[0].name) : null;
+}
+
+/**
+ * @description 解码百分号编码，非法编码时保留原样
+ * @param {string} value
+ * @returns {string}
+ */
+function safeDecodeURIComponent(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * @description 按请求路径逐段查找 fixture 目录：同名目录优先，其次是 [name] 形式的参数目录（其值作为 params.name）
+ * @param {string} dir 当前目录
+ * @param {string[]} segments 剩余的路径段
+ * @param {string} method 请求方法
+ * @param {URLSearchParams} query 查询参数
+ * @param {Object<string, string>} params 已匹配的路径参数
+ * @returns {Promise<{ file: string, params: Object<string, string> } | null>}
+ */
+async function findMockFixture(dir, segments, method, query, params) {
+  if (!segments.length) {
+    const file = await pickMockFile(dir, method, query);
+    return file ? { file, params } : null;
+  }
+  const [segment, ...rest] = segments;
+  const exact = path.join(dir, segment);
+  if (segment !== '..' && segment !== '.' && !segment.includes(path.sep)) {
+    const found = await findMockFixture(exact, rest, method, query, params);
+    if (found) return found;
+  }
+  let names = [];
+  try {
+    names = (await fs.promises.readdir(dir, { withFileTypes: true }))
+      .filter(d => d.isDirectory() && /^\[[^\]]+\]$/.test(d.name))
+      .map(d => d.name);
+  } catch {
+    return null;
+  }
+  for (const name of names.sort()) {
+    const found = await findMockFixture(path.join(dir, name), rest, method, query, { ...params, [name.slice(1, -1)]: segment });
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * @description 判断 JSON fixture 是否为响应描述（只包含 status、headers、delay、body、base64 且类型正确），否则整个文件即响应体
+ * @param {any} data 解析后的 JSON
+ * @returns {boolean}
+ */
+function isMockEnvelope(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return false;
+  const keys = Object.keys(data);
+  if (!keys.length || !keys.every(k => ['status', 'headers', 'delay', 'body', 'base64'].includes(k))) return false;
+  if ('status' in data && !(Number.isInteger(data.status) && data.status >= 100 && data.status <= 599)) return false;
+  if ('headers' in data && (!data.headers || typeof data.headers !== 'object' || Array.isArray(data.headers))) return false;
+  if ('delay' in data && typeof data.delay !== 'number') return false;
+  if ('base64' in data && (data.base64 !== true || typeof data.body !== 'string')) return false;
+  return true;
+}
+
+/**
+ * @description 读取 fixture 并生成响应：.json 为响应描述或响应体，.js 导出处理函数，其他文件按扩展名作为响应体
+ * @param {string} file fixture 文件
+ * @param {object} request 传给处理函数的请求信息
+ * @returns {Promise<{ status: number, headers: Object<string, any>, body: Buffer, delay: number }>}
+ */
+async function loadMockResponse(file, request) {
+  const ext = path.extname(file).toLowerCase();
+  let spec;
+  if (ext === '.js' || ext === '.cjs') {
+    if (vscode.workspace.isTrusted === false) throw new Error('工作区未受信任，不能执行 JS fixture');
+    // 每次重新加载，修改处理函数后无需重启服务
+    delete require.cache[require.resolve(file)];
+    const exported = require(file);
+    const handler = typeof exported === 'function' ? exported : exported?.default;
+    if (typeof handler !== 'function') throw new Error(`${file} 没有导出处理函数`);
+    const result = await handler(request);
+    spec = result && typeof result === 'object' && !Buffer.isBuffer(result) ? result : { body: result };
+  } else if (ext === '.json') {
+    const text = await fs.promises.readFile(file, 'utf8');
+    const data = JSON.parse(text);
+    spec = isMockEnvelope(data) ? data : { body: text, headers: { 'Content-Type': 'application/json' } };
+  } else {
+    spec = { body: await fs.promises.readFile(file), headers: { 'Content-Type': MIME_TYPES[ext] || 'application/octet-stream' } };
+  }
+
+  const headers = { ...(spec.headers || {}) };
+  const hasType = Object.keys(headers).some(k => k.toLowerCase() === 'content-type');
+  let body = spec.body;
+  if (body === undefined || body === null) {
+    body = Buffer.alloc(0);
+  } else if (Buffer.isBuffer(body)) {
+    // 原样返回
+  } else if (typeof body === 'string' && spec.base64 === true) {
+    // 录制的二进制响应体
+    body = Buffer.from(body, 'base64');
+  } else if (typeof body === 'string') {
+    if (!hasType) headers['Content-Type'] = 'text/plain; charset=utf-8';
+    body = Buffer.from(body);
+  } else {
+    if (!hasType) headers['Content-Type'] = 'application/json';
+    body = Buffer.from(JSON.stringify(body));
+  }
+  return { status: Number(spec.status) || 200, headers, body, delay: Number(spec.delay) || 0 };
+}
+
+/**
+ * @description 用 fixture 代替上游响应；找不到 fixture 时返回 false，由调用方决定后续处理
+ * @param {http.IncomingMessage} clientReq 客户端请求
+ * @param {http.ServerResponse} clientRes 客户端响应
+ * @param {vscode.OutputChannel} output 输出通道
+ * @param {object} loc 匹配到的 location 配置
+ * @param {object} ctx 请求上下文
+ * @returns {Promise<boolean>}
+ */
+async function sendMockResponse(clientReq, clientRes, output, loc, ctx) {
+  const method = String(ctx.method || clientReq.method);
+  const fixturesDir = getMockFixturesDir();
+  const query = new URLSearchParams(ctx.args);
+  const segments = ctx.uri.split('/').filter(Boolean);
+  const requestLine = `${method} ${ctx.uri}${ctx.args ? `?${ctx.args}` : ''}`;
+  const found = await findMockFixture(fixturesDir, segments, method, query, {});
+  if (!found) {
+    output.appendLine(`[模拟] 没有匹配的 fixture: ${requestLine}（查找目录 ${path.join(fixturesDir, ...segments)}）`);
+    return false;
+  }
+
+  const body = ctx.requestBody || await readRequestBody(clientReq);
+  ctx.requestBody = body;
+  ctx.proxyTarget = `mock ${toWorkspaceRelativeIfPossible(found.file)}`;
+  let json;
+  try {
+    json = body.length ? JSON.parse(body.toString('utf8')) : undefined;
+  } catch {
+    // 不是 JSON 请求体
+  }
+  let response;
+  try {
+    response = await loadMockResponse(found.file, {
+      method,
+      url: clientReq.url,
+      path: ctx.uri,
+      query: Object.fromEntries(query),
+      params: found.params,
+      headers: clientReq.headers,
+      body: body.toString('utf8'),
+      json
+    });
+  } catch (err) {
+    output.appendLine(`[模拟] fixture 出错: ${found.file}: ${err.message}`);
+    writeResponseHead(clientRes, 500, { 'Content-Type': 'text/plain' }, loc?.addHeaders);
+    clientRes.end(`500 Internal Server Error (Mock: ${err.message})`);
+    return true;
+  }
+
+  output.appendLine(`[模拟] ${requestLine} -> ${toWorkspaceRelativeIfPossible(found.file)} (${response.status}${response.delay ? `, 延迟 ${response.delay}ms` : ''})`);
+  if (response.delay > 0) await new Promise(resolve => setTimeout(resolve, response.delay));
+  if (clientRes.destroyed) return true;
+  if (!Object.keys(response.headers).some(k => k.toLowerCase() === 'content-length')) {
+    response.headers['Content-Length'] = response.body.length;
+  }
+  writeResponseHead(clientRes, response.status, response.headers, loc?.addHeaders);
+  clientRes.end(method === 'HEAD' ? undefined : response.body);
+  return true;
+}
+
+/**
+ * @description 为 proxy_pass location 设置 mock 模式（保存到工作区的 mockLocations 设置）
+ * @param {NginxItem} [item] 配置大纲中的 location 节点；未传入时从配置中选择
+ */
+async function setMockMode(item) {
+  let loc = item?.meta?.mockLocation;
+  if (!loc) {
+    const outline = await loadConfigOutline();
+    if (!outline || outline.error) {
+      vscode.window.showErrorMessage(outline?.error ? `配置有误: ${outline.error}` : '未找到 nginx.conf');
+      return;
+    }
+    const locations = [];
+    const collect = list => list.forEach(l => {
+      if (l.proxyPass && !locations.some(x => formatLocationMatcher(x) === formatLocationMatcher(l))) locations.push(l);
+      collect(l.locations);
+    });
+    outline.cfg.servers.forEach(srv => collect(srv.locations));
+    if (!locations.length) {
+      vscode.window.showWarningMessage('配置中没有 proxy_pass 的 location。');
+      return;
+    }
+    const picked = await vscode.window.showQuickPick(locations.map(l => ({
+      label: formatLocationMatcher(l),
+      description: `→ ${l.proxyPass}`,
+      detail: `当前: ${MOCK_MODE_LABELS[getMockMode(l)]}`,
+      loc: l
+    })), { placeHolder: '选择要切换 mock 模式的 location' });
+    if (!picked) return;
+    loc = picked.loc;
+  }
+
+  const key = formatLocationMatcher(loc);
+  const current = (getConfig().get('mockLocations') || {})[key];
+  const mode = await vscode.window.showQuickPick([
+    { label: MOCK_MODE_LABELS.real, description: 'real', value: 'real' },
+    { label: MOCK_MODE_LABELS.mock, description: 'mock', value: 'mock' },
+    { label: MOCK_MODE_LABELS.mockOnFailure, description: 'mockOnFailure', value: 'mockOnFailure' },
+    { label: MOCK_MODE_LABELS.replay, description: 'replay', value: 'replay' },
+    { label: '跟随默认设置', description: `mockMode: ${getConfig().get('mockMode') || 'real'}`, value: '' }
+  ].map(o => ({ ...o, picked: o.value === (current || '') })), { placeHolder: `location ${key} 的 mock 模式` });
+  if (!mode) return;
+
+  const next = { ...(getConfig().get('mockLocations') || {}) };
+  if (mode.value) next[key] = mode.value;
+  else delete next[key];
+  await getConfig().update('mockLocations', next, vscode.ConfigurationTarget.Workspace);
+  vscode.window.showInformationMessage(`location ${key}: ${MOCK_MODE_LABELS[getMockMode(loc)]}`);
+}
+
+/**
+ * @description 获取录制格式：har 保存为一个 HAR 文件，fixtures 保存为 mock fixture 文件
+ * @returns {'har' | 'fixtures'}
+ */
+function getRecordFormat() {
+  return getConfig().get('recordFormat') === 'fixtures' ? 'fixtures' : 'har';
+}
+
+/**
+ * @description 获取 HAR 录制文件的绝对路径
+ * @returns {string}
+ */
+function getRecordHarFile() {
+  return resolvePathInWorkspace(String(getConfig().get('recordHarFile') || 'recordings/upstream.har').trim());
+}
+
+/**
+ * @description 获取回放时用于匹配请求的键：method、path、query、body、query:名称、header:名称
+ * @returns {string[]}
+ */
+function getRecordMatchKeys() {
+  const keys = getConfig().get('recordMatchKeys');
+  return Array.isArray(keys) && keys.length ? keys.map(String) : ['method', 'path', 'query'];
+}
+
+/**
+ * @description 获取录制时需要脱敏的头部（小写）
+ * @returns {Set<string>}
+ */
+function getRecordRedactHeaders() {
+  const names = getConfig().get('recordRedactHeaders');
+  return new Set((Array.isArray(names) ? names : ['authorization', 'proxy-authorization', 'cookie', 'set-cookie']).map(n => String(n).toLowerCase()));
+}
+
+/**
+ * @description 脱敏后的头部值；回放时会跳过这些头部
+ */
+const REDACTED_VALUE = '[REDACTED]';
+
+/**
+ * @description 回放时不应原样返回的头部：录制的响应体已解压，长度与连接相关的头部由 Node 重新生成
+ */
+const REPLAY_SKIPPED_HEADERS = new Set(['content-encoding', 'content-length', 'transfer-encoding', 'connection', 'keep-alive']);
+
+/**
+ * @description 按匹配键计算请求的标识，录制与回放使用同一算法
+ * @param {{ method: string, path: string, query: URLSearchParams, headers: { name: string, value: string }[], body: string }} request 请求
+ * @param {string[]} keys 匹配键
+ * @returns {string}
+ */
+function computeRecordKey(request, keys) {
+  return JSON.stringify(keys.map(key => {
+    if (key === 'method') return request.method;
+    if (key === 'path') return request.path;
+    if (key === 'query') {
+      return Array.from(request.query, ([k, v]) => `${k}=${v}`).sort().join('&');
+    }
+    if (key === 'body') {
+      // JSON 请求体忽略空白差异
+      try {
+        return JSON.stringify(JSON.parse(request.body));
+      } catch {
+        return request.body;
+      }
+    }
+    if (key.startsWith('query:')) return request.query.getAll(key.slice(6)).join(',');
+    if (key.startsWith('header:')) return findHeader(request.headers, key.slice(7));
+    return '';
+  }));
+}
+
+/**
+ * @description 描述一个请求（用于输出面板），如 GET /api/users?id=1
+ * @param {{ method: string, path: string, query: URLSearchParams }} request 请求
+ * @returns {string}
+ */
+function describeRecordRequest(request) {
+  const query = request.query.toString();
+  return `${request.method} ${request.path}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * @description 开始录制经 proxy_pass 转发的上游请求与响应
+ * @param {vscode.ExtensionContext} context 插件上下文
+ */
+async function startRecording(context) {
+  const output = ensureOutputChannel(context);
+  if (recording) {
+    vscode.window.showInformationMessage('已经在录制上游响应。');
+    return;
+  }
+  const format = getRecordFormat();
+  const keys = getRecordMatchKeys();
+  const target = format === 'har' ? getRecordHarFile() : getMockFixturesDir();
+  let har = buildHar([]);
+  if (format === 'har') {
+    try {
+      const existing = JSON.parse(await fs.promises.readFile(target, 'utf8'));
+      // 追加到已有的录制，回放时同一请求以最后录制的为准
+      if (Array.isArray(existing?.log?.entries)) har = existing;
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        vscode.window.showErrorMessage(`无法读取录制文件 ${target}: ${e.message}`);
+        return;
+      }
+    }
+  } else if (keys.some(k => k === 'body' || k.startsWith('header:'))) {
+    vscode.window.showWarningMessage('fixtures 格式只按 method、path、query 匹配，recordMatchKeys 中的 body 与 header 将被忽略。');
+  }
+  recording = { format, target, keys, redact: getRecordRedactHeaders(), har, output, count: 0, writeTimer: undefined, writing: Promise.resolve() };
+  output.appendLine(`[录制] 开始录制上游响应 (${format}): ${target}`);
+  vscode.window.showInformationMessage(`开始录制上游响应: ${toWorkspaceRelativeIfPossible(target)}`);
+  if (treeDataProvider) treeDataProvider.refresh();
+}
+
+/**
+ * @description 停止录制，写出尚未保存的内容
+ * @param {vscode.ExtensionContext} context 插件上下文
+ */
+async function stopRecording(context) {
+  const output = ensureOutputChannel(context);
+  if (!recording) {
+    vscode.window.showInformationMessage('当前没有在录制。');
+    return;
+  }
+  const session = recording;
+  recording = null;
+  if (session.format === 'har') {
+    clearTimeout(session.writeTimer);
+    await writeRecordingHar(session);
+  }
+  await session.writing;
+  output.appendLine(`[录制] 已停止，共录制 ${session.count} 个请求: ${session.target}`);
+  vscode.window.showInformationMessage(`已录制 ${session.count} 个请求: ${toWorkspaceRelativeIfPossible(session.target)}`);
+  if (treeDataProvider) treeDataProvider.refresh();
+}
+
+/**
+ * @description 写出 HAR 录制文件；多次写入依次进行
+ * @param {object} session 录制会话
+ * @returns {Promise<void>}
+ */
+function writeRecordingHar(session) {
+  session.writing = session.writing.then(async () => {
+    try {
+      await fs.promises.mkdir(path.dirname(session.target), { recursive: true });
+      await fs.promises.writeFile(session.target, JSON.stringify(session.har, null, 2));
+    } catch (e) {
+      session.output.appendLine(`[录制] 写入 ${session.target} 失败: ${e.message}`);
+    }
+  });
+  return session.writing;
+}
+
+/**
+ * @description 录制一次上游响应：与转发给客户端同时读取响应体，结束后保存
+ * @param {http.IncomingMessage} clientReq 客户端请求
+ * @param {object} ctx 请求上下文
+ * @param {object} loc 匹配到的 location 配置
+ * @param {http.IncomingMessage} proxyRes 上游响应
+ * @param {string} targetUrlStr 上游地址
+ * @param {number} startedAt 开始请求上游的时间
+ */
+function recordUpstreamExchange(clientReq, ctx, loc, proxyRes, targetUrlStr, startedAt) {
+  const session = recording;
+  const chunks = [];
+  proxyRes.on('data', chunk => chunks.push(chunk));
+  proxyRes.once('end', () => {
+    if (recording !== session) return;
+    const redact = list => list.map(h => (session.redact.has(h.name.toLowerCase()) ? { name: h.name, value: REDACTED_VALUE } : h));
+    const socket = /** @type {any} */ (clientReq.socket) || {};
+    const responseBody = Buffer.concat(chunks);
+    const exchange = {
+      startedAt,
+      method: String(ctx.method || clientReq.method),
+      url: `${socket.encrypted ? 'https' : 'http'}://${clientReq.headers.host || 'localhost'}${clientReq.url}`,
+      httpVersion: `HTTP/${proxyRes.httpVersion}`,
+      status: proxyRes.statusCode,
+      server: ctx.cfg.label,
+      location: formatLocationMatcher(loc),
+      target: targetUrlStr,
+      duration: Date.now() - startedAt,
+      size: responseBody.length,
+      requestHeaders: redact(toHeaderList(clientReq.rawHeaders)),
+      responseHeaders: redact(toHeaderList(proxyRes.rawHeaders)),
+      requestBody: ctx.requestBody || null,
+      requestBodySize: ctx.requestBody ? ctx.requestBody.length : 0,
+      responseBody
+    };
+    session.count++;
+    scheduleTreeRefresh();
+    if (session.format === 'har') {
+      session.har.log.entries.push(buildHar([exchange]).log.entries[0]);
+      // 合并短时间内的多次写入
+      if (!session.writeTimer) {
+        session.writeTimer = setTimeout(() => {
+          session.writeTimer = undefined;
+          writeRecordingHar(session);
+        }, 1000);
+      }
+      return;
+    }
+    session.writing = session.writing.then(() => writeRecordedFixture(session, exchange, ctx))
+      .catch(e => session.output.appendLine(`[录制] 保存 fixture 失败: ${e.message}`));
+  });
+}
+
+/**
+ * @description 把录制的响应保存为 mock fixture（mocks/路径/METHOD[@查询].json），响应体已解压
+ * @param {object} session 录制会话
+ * @param {object} exchange 录制的请求与响应
+ * @param {object} ctx 请求上下文
+ */
+async function writeRecordedFixture(session, exchange, ctx) {
+  const query = new URLSearchParams(ctx.args);
+  const queryKeys = session.keys.includes('query')
+    ? Array.from(new Set(query.keys()))
+    : session.keys.filter(k => k.startsWith('query:')).map(k => k.slice(6)).filter(k => query.has(k));
+  const conditions = queryKeys.sort().flatMap(k => query.getAll(k).map(v => `${encodeURIComponent(k)}=${encodeURIComponent(v)}`));
+  const method = session.keys.includes('method') ? exchange.method : 'ANY';
+  const segments = ctx.uri.split('/').filter(s => s && s !== '.' && s !== '..');
+  const file = path.join(session.target, ...segments, `${method}${conditions.length ? `@${conditions.join('&')}` : ''}.json`);
+
+  const headers = {};
+  for (const h of exchange.responseHeaders) {
+    const name = h.name.toLowerCase();
+    if (REPLAY_SKIPPED_HEADERS.has(name) || h.value === REDACTED_VALUE) continue;
+    headers[name] = name in headers ? [].concat(headers[name], h.value) : h.value;
+  }
+  const decoded = decodeInspectorBody(exchange.responseBody, exchange.responseHeaders);
+  let body = decoded.text;
+  if (!decoded.binary && /json/i.test(String(headers['content-type'] || ''))) {
+    try {
+      body = JSON.parse(decoded.text);
+    } catch {
+      // 保留原始文本
+    }
+  }
+  const fixture = { status: exchange.status, headers, body, ...(decoded.binary ? { base64: true } : {}) };
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(file, `${JSON.stringify(fixture, null, 2)}\n`);
+  session.output.appendLine(`[录制] ${exchange.method} ${ctx.uri}${ctx.args ? `?${ctx.args}` : ''} -> ${toWorkspaceRelativeIfPossible(file)}`);
+}
+
+/**
+ * @description 读取 HAR 录制中的请求记录
+ * @param {string} file HAR 文件
+ * @returns {Promise<object[] | null>} 文件不存在时返回 null
+ */
+async function loadReplayEntries(file) {
+  let stats;
+  try {
+    stats = await fs.promises.stat(file);
+  } catch {
+    return null;
+  }
+  if (replayCache?.file !== file || replayCache.mtimeMs !== stats.mtimeMs) {
+    const har = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    replayCache = { file, mtimeMs: stats.mtimeMs, entries: Array.isArray(har?.log?.entries) ? har.log.entries : [] };
+  }
+  return replayCache.entries;
+}
+
+/**
+ * @description 把 HAR 中的请求转为计算匹配键所需的形式
+ * @param {object} entry HAR 请求记录
+ * @returns {{ method: string, path: string, query: URLSearchParams, headers: { name: string, value: string }[], body: string }}
+ */
+function harEntryRequest(entry) {
+  const url = new URL(entry.request.url, 'http://localhost');
+  return {
+    method: String(entry.request.method || 'GET').toUpperCase(),
+    path: safeDecodeURIComponent(url.pathname),
+    query: url.searchParams,
+    headers: Array.isArray(entry.request.headers) ? entry.request.headers : [],
+    body: entry.request.postData?.text || ''
+  };
+}
+
+/**
+ * @description 回放录制的上游响应，不连接上游；fixtures 格式的录制按 mock 的规则查找
+ * 未命中时在输出面板列出匹配键以及同一路径下已录制的请求，返回 false
+ * @param {http.IncomingMessage} clientReq 客户端请求
+ * @param {http.ServerResponse} clientRes 客户端响应
+ * @param {vscode.OutputChannel} output 输出通道
+ * @param {object} loc 匹配到的 location 配置
+ * @param {object} ctx 请求上下文
+ * @returns {Promise<boolean>}
+ */
+async function sendReplayResponse(clientReq, clientRes, output, loc, ctx) {
+  if (getRecordFormat() === 'fixtures') {
+    if (await sendMockResponse(clientReq, clientRes, output, loc, ctx)) return true;
+    output.appendLine(`[回放] 未命中: ${ctx.method || clientReq.method} ${ctx.uri}${ctx.args ? `?${ctx.args}` : ''}（fixtures 目录 ${toWorkspaceRelativeIfPossible(getMockFixturesDir())}）`);
+    return false;
+  }
+
+  const file = getRecordHarFile();
+  const body = ctx.requestBody || await readRequestBody(clientReq);
+  ctx.requestBody = body;
+  const url = new URL(clientReq.url, 'http://localhost');
+  const request = {
+    method: String(ctx.method || clientReq.method),
+    path: safeDecodeURIComponent(url.pathname),
+    query: url.searchParams,
+    headers: toHeaderList(clientReq.rawHeaders),
+    body: body.toString('utf8')
+  };
+  const keys = getRecordMatchKeys();
+  const entries = await loadReplayEntries(file);
+  if (!entries) {
+    output.appendLine(`[回放] 录制文件不存在: ${file}`);
+    return false;
+  }
+  // 与 mock 一致，HEAD 请求没有录制时使用 GET 的录制
+  const wanted = (request.method === 'HEAD' ? ['HEAD', 'GET'] : [request.method])
+    .map(method => computeRecordKey({ ...request, method }, keys));
+  let index = -1;
+  const recorded = entries.map(entry => computeRecordKey(harEntryRequest(entry), keys));
+  for (const key of wanted) {
+    index = recorded.lastIndexOf(key);
+    if (index !== -1) break;
+  }
+  if (index === -1) {
+    output.appendLine(`[回放] 未命中: ${describeRecordRequest(request)}（匹配键: ${keys.join(', ')}；录制文件 ${toWorkspaceRelativeIfPossible(file)}）`);
+    const samePath = entries.map(harEntryRequest).filter(r => r.path === request.path);
+    if (samePath.length) {
+      const listed = Array.from(new Set(samePath.map(describeRecordRequest)));
+      output.appendLine(`  - 同一路径已录制: ${listed.slice(0, 5).join('，')}${listed.length > 5 ? ` 等 ${listed.length} 个` : ''}`);
+    }
+    return false;
+  }
+
+  const { response } = entries[index];
+  /** @type {Object<string, any>} */
+  const headers = {};
+  for (const h of response.headers || []) {
+    const name = String(h.name).toLowerCase();
+    if (REPLAY_SKIPPED_HEADERS.has(name) || h.value === REDACTED_VALUE) continue;
+    headers[name] = name in headers ? [].concat(headers[name], h.value) : h.value;
+  }
+  const content = response.content || {};
+  const data = Buffer.from(content.text || '', content.encoding === 'base64' ? 'base64' : 'utf8');
+  headers['content-length'] = data.length;
+  ctx.proxyTarget = `replay ${toWorkspaceRelativeIfPossible(file)} #${index + 1}`;
+  output.appendLine(`[回放] ${describeRecordRequest(request)} -> ${toWorkspaceRelativeIfPossible(file)} #${index + 1} (${response.status})`);
+  writeResponseHead(clientRes, response.status, headers, loc?.addHeaders);
+  clientRes.end(request.method === 'HEAD' ? undefined : data);
+  return true;
+}
+
+/**
+ * @description 代理请求到目标服务器
+ * 连接失败或超时时按 proxy_next_upstream 依次尝试其余上游地址，全部失败时超时返回 504，其他错误返回 502；
+ * 开启 proxy_intercept_errors 时，上游返回配置了 error_page 的状态码也交给 sendError 处理；
+ * mock 模式下改用 fixture 响应，失败时 mock 的模式在上游全部失败后尝试 fixture
+ * @param {http.IncomingMessage} clientReq 客户端请求
+ * @param {http.ServerResponse} clientRes 客户端响应
+ * @param {string} targetUrlStr 目标 URL 字符串
+ * @param {vscode.OutputChannel} output 输出通道
+ * @param {object} loc 匹配到的 location 配置
+ * @param {object} ctx 请求上下文，用于展开 proxy_set_header 等指令中的变量
+ * @param {(code: number, text?: string) => Promise<void>} [sendError] 返回错误状态（默认直接输出纯文本）
+ */
+async function proxyRequest(clientReq, clientRes, targetUrlStr, output, loc, ctx, sendError) {
+  const fail = sendError || (async (code, text) => {
+    writeResponseHead(clientRes, code, { 'Content-Type': 'text/plain' }, loc?.addHeaders);
+    clientRes.end(text ?? `${code} ${http.STATUS_CODES[code] || ''}`);
+  });
+  const mockMode = getMockMode(loc);
+  try {
+    if (mockMode === 'mock') {
+      if (!(await sendMockResponse(clientReq, clientRes, output, loc, ctx))) {
+        writeResponseHead(clientRes, 404, { 'Content-Type': 'text/plain' }, loc?.addHeaders);
+        clientRes.end('404 Not Found (No mock fixture)');
+      }
+      return;
+    }
+    if (mockMode === 'replay') {
+      if (!(await sendReplayResponse(clientReq, clientRes, output, loc, ctx))) {
+        writeResponseHead(clientRes, 404, { 'Content-Type': 'text/plain' }, loc?.addHeaders);
+        clientRes.end('404 Not Found (Not recorded)');
+      }
+      return;
+    }
+    const targetUrl = new URL(targetUrlStr);
+    const requestLib = targetUrl.protocol === 'https:' ? https : http;
+    const options = buildProxyRequestOptions(clientReq, targetUrl, loc, ctx);
+    const policy = loc?.proxyUpstream || parseProxyUpstreamConf([], null);
+    const method = options.method;
+
+    output.appendLine(`[代理] 正向转发: ${method} ${targetUrlStr}`);
+
+    // 经 error_page 再次代理时请求体已经读取过
+    const body = ctx.requestBody || await readRequestBody(clientReq);
+    // 供请求检查器展示上游地址与请求体
+    ctx.proxyTarget = targetUrlStr;
+    ctx.requestBody = body;
+    // 请求体已完整缓冲，改用 Content-Length 发送
+    delete options.headers['transfer-encoding'];
+    if (clientReq.headers['content-length'] !== undefined || clientReq.headers['transfer-encoding'] !== undefined) {
+      options.headers['content-length'] = String(body.length);
+    }
+
+    // proxy_pass 指向 upstream 组时由负载均衡选择服务器，否则依次尝试域名解析出的各个地址
+    const group = findUpstreamGroup(targetUrl, ctx);
+    const resolved = group ? [] : await resolveProxyPeers(options.hostname, options.port);
+    const maxTries = group ? group.peers.length : resolved.length;
+    const retryNonIdempotent = policy.nextUpstream.has('non_idempotent');
+    const idempotent = !['POST', 'LOCK', 'PATCH'].includes(String(method));
+    const startedAt = Date.now();
+    const tried = new Set();
+    let failure = null;
+
+    for (let i = 0; i < maxTries; i++) {
+      const peer = group ? pickUpstreamPeer(group, ctx, tried) : resolved[i];
+      if (!peer) {
+        if (!failure) output.appendLine(`[代理错误] upstream ${group.name} 没有可用的服务器 (no live upstreams)`);
+        break;
+      }
+      tried.add(peer);
+      /** @type {https.RequestOptions} */
+      const peerOptions = group
+        ? { ...options, hostname: peer.host, port: peer.port, socketPath: peer.socketPath }
+        : { ...options, hostname: peer.address };
+      // 按 IP 连接时仍以原始域名做 SNI 与证书校验
+      if (!group && !net.isIP(targetUrl.hostname.replace(/^\[|\]$/g, ''))) peerOptions.servername = targetUrl.hostname;
+      if (group) {
+        peer.active++;
+        peer.requests++;
+        output.appendLine(`  - upstream ${group.name} -> ${peer.name}`);
+        scheduleTreeRefresh();
+      }
+      let released = false;
+      const release = () => {
+        if (!group || released) return;
+        released = true;
+        peer.active--;
+        scheduleTreeRefresh();
+      };
+
+      const attemptStartedAt = Date.now();
+      const attempt = await sendUpstreamRequest(requestLib, peerOptions, body, policy, (phase) => {
+        output.appendLine(`[代理错误] 上游 ${formatPeer(peer)} 响应中途超时 (proxy_${phase}_timeout)，已断开: ${targetUrlStr}`);
+        clientRes.destroy();
+      });
+      const isLast = i === maxTries - 1
+        || (policy.nextUpstreamTries > 0 && i + 1 >= policy.nextUpstreamTries)
+        || (policy.nextUpstreamTimeout > 0 && Date.now() - startedAt >= policy.nextUpstreamTimeout);
+
+      const upstreamEntry = {
+        addr: formatPeer(peer),
+        status: attempt.proxyRes ? attempt.proxyRes.statusCode : (attempt.failure.reason === 'timeout' ? 504 : 502),
+        time: Date.now() - attemptStartedAt
+      };
+      ctx.upstreamLog.push(upstreamEntry);
+
+      if (attempt.proxyRes) {
+        const status = attempt.proxyRes.statusCode;
+        const unsuccessful = policy.nextUpstream.has(`http_${status}`);
+        // 与 nginx 一致：http_403 / http_404 不计入失败次数
+        if (group && unsuccessful && status !== 403 && status !== 404) {
+          recordPeerFailure(group, peer, `HTTP ${status}`, output);
+        } else if (group) {
+          peer.fails = 0;
+        }
+        if (!isLast && unsuccessful && (idempotent || retryNonIdempotent)) {
+          output.appendLine(`[代理错误] 上游 ${formatPeer(peer)} 返回 ${status}，按 proxy_next_upstream 尝试下一个地址`);
+          attempt.proxyReq?.destroy();
+          release();
+          continue;
+        }
+        attempt.proxyRes.once('close', release);
+        // $upstream_response_time 计到上游响应体接收完毕
+        attempt.proxyRes.once('end', () => { upstreamEntry.time = Date.now() - attemptStartedAt; });
+        if (policy.interceptErrors && status >= 300 && findErrorPage(loc, ctx, status)) {
+          output.appendLine(`  - proxy_intercept_errors: 上游返回 ${status}，改用 error_page`);
+          attempt.proxyRes.resume();
+          await fail(status);
+          return;
+        }
+        if (recording) recordUpstreamExchange(clientReq, ctx, loc, attempt.proxyRes, targetUrlStr, attemptStartedAt);
+        relayProxyResponse(clientReq, clientRes, attempt.proxyRes, loc, ctx);
+        return;
+      }
+
+      release();
+      failure = attempt.failure;
+      const what = failure.reason === 'timeout' ? '超时' : '失败';
+      output.appendLine(`[代理错误] 上游 ${formatPeer(peer)} ${what}: ${failure.message}`);
+      if (group) recordPeerFailure(group, peer, failure.message, output);
+      const retriable = policy.nextUpstream.has(failure.reason) && (!failure.sent || idempotent || retryNonIdempotent);
+      if (isLast || !retriable) break;
+      output.appendLine('  - 按 proxy_next_upstream 尝试下一个地址');
+    }
+
+    if (clientRes.headersSent) return;
+    if (mockMode === 'mockOnFailure') {
+      output.appendLine('  - 上游不可用，尝试 mock fixture');
+      if (await sendMockResponse(clientReq, clientRes, output, loc, ctx)) return;
+    }
+    const code = failure?.reason === 'timeout' ? 504 : 502;
+    output.appendLine(`[代理错误] 请求失败: ${method} ${targetUrlStr} -> ${code}`);
+    await fail(code, code === 504 ? '504 Gateway Timeout (Proxy Timeout)' : '502 Bad Gateway (Proxy Error)');
+
+  } catch (err) {
+    output.appendLine(`[代理异常] 构建请求失败: ${err.message}`);
+    if (!clientRes.headersSent) {
+      writeResponseHead(clientRes, 500, {}, loc?.addHeaders);
+      clientRes.end('500 Internal Server Error (Proxy)');
+    }
+  }
+}
+
+/**
+ * @description 在原始 socket 上写出一个完整的 HTTP 响应（用于 Upgrade 请求无法升级时）
+ * @param {import('stream').Duplex} socket 客户端 socket
+ * @param {number} statusCode 状态码
+ * @param {string} [body] 响应体
+ * @param {string[]} [extraHeaders] 附加的头部行，如 Location、WWW-Authenticate
+ */
+function writeRawResponse(socket, statusCode, body, extraHeaders = []) {
+  const text = body ?? `${statusCode} ${http.STATUS_CODES[statusCode] || ''}`;
+  socket.end([
+    `HTTP/1.1 ${statusCode} ${http.STATUS_CODES[statusCode] || ''}`,
+    ...extraHeaders,
+    'Content-Type: text/plain',
+    `Content-Length: ${Buffer.byteLength(text)}`,
+    'Connection: close',
+    '',
+    text
+  ].join('\r\n'));
+}
+
+/**
+ * @description 将 Upgrade（如 WebSocket）请求隧道转发到上游
+ * 与 nginx 一致：只有 proxy_http_version 1.1 且通过 proxy_set_header 传递了 Upgrade/Connection 时才会升级，
+ * 否则按普通请求转发，由上游的响应决定结果
+ * @param {http.IncomingMessage} clientReq 客户端请求
+ * @param {import('stream').Duplex} clientSocket 客户端 socket
+ * @param {Buffer} head 升级请求之后已读取的数据
+ * @param {string} targetUrlStr 目标 URL 字符串
+ * @param {vscode.OutputChannel} output 输出通道
+ * @param {object} loc 匹配到的 location 配置
+ * @param {object} ctx 请求上下文
+ */
+function proxyUpgrade(clientReq, clientSocket, head, targetUrlStr, output, loc, ctx) {
+  try {
+    const targetUrl = new URL(targetUrlStr);
+    const requestLib = targetUrl.protocol === 'https:' ? https : http;
+    const options = buildProxyRequestOptions(clientReq, targetUrl, loc, ctx);
+    const proxyConf = loc.proxy;
+
+    const upgradeConfigured = proxyConf.httpVersion === '1.1'
+      && proxyConf.setHeaders.some(h => h.name.toLowerCase() === 'upgrade')
+      && !!options.headers.upgrade
+      && /upgrade/i.test(String(options.headers.connection || ''));
+    if (!upgradeConfigured) {
+      delete options.headers.upgrade;
+      delete options.headers.connection;
+      output.appendLine('  - 提示: 未配置 proxy_http_version 1.1 与 proxy_set_header Upgrade/Connection，nginx 不会升级该连接');
+    }
+
+    output.appendLine(`[代理] 升级转发: ${clientReq.method} ${targetUrlStr}`);
+    const policy = loc.proxyUpstream || parseProxyUpstreamConf([], null);
+    const group = findUpstreamGroup(targetUrl, ctx);
+    const peer = group ? pickUpstreamPeer(group, ctx, new Set()) : null;
+    if (group && !peer) {
+      output.appendLine(`[代理错误] upstream ${group.name} 没有可用的服务器 (no live upstreams)`);
+      writeRawResponse(clientSocket, 502, '502 Bad Gateway (Proxy Error)');
+      return;
+    }
+    if (peer) {
+      peer.active++;
+      peer.requests++;
+      output.appendLine(`  - upstream ${group.name} -> ${peer.name}`);
+      clientSocket.once('close', () => {
+        peer.active--;
+        scheduleTreeRefresh();
+      });
+      scheduleTreeRefresh();
+    }
+    const proxyReq = requestLib.request(peer
+      ? { ...options, hostname: peer.host, port: peer.port, socketPath: peer.socketPath, agent: false }
+      : { ...options, hostname: options.hostname.replace(/^\[|\]$/g, ''), agent: false });
+    let timedOut = false;
+    const connectTimer = setTimeout(() => {
+      timedOut = true;
+      proxyReq.destroy(new Error(`proxy_connect_timeout (${policy.connectTimeout}ms) 已到`));
+    }, policy.connectTimeout);
+    proxyReq.on('socket', (socket) => socket.once('connect', () => clearTimeout(connectTimer)));
+
+    proxyReq.on('upgrade', (proxyRes, proxySocket, proxyHead) => {
+      // 与 nginx 一致：升级后的连接在 proxy_read_timeout 内没有任何数据往来即关闭
+      proxySocket.setTimeout(policy.readTimeout, () => {
+        output.appendLine(`[代理] 升级连接空闲超过 proxy_read_timeout (${policy.readTimeout}ms)，已关闭: ${targetUrlStr}`);
+        proxySocket.destroy();
+        clientSocket.destroy();
+      });
+      sockets.add(proxySocket);
+      proxySocket.on('close', () => sockets.delete(proxySocket));
+
+      const lines = [`HTTP/1.1 ${proxyRes.statusCode} ${proxyRes.statusMessage || ''}`];
+      for (let i = 0; i < proxyRes.rawHeaders.length; i += 2) {
+        lines.push(`${proxyRes.rawHeaders[i]}: ${proxyRes.rawHeaders[i + 1]}`);
+      }
+      clientSocket.write(lines.join('\r\n') + '\r\n\r\n');
+      if (proxyHead?.length) clientSocket.write(proxyHead);
+      if (head?.length) proxySocket.write(head);
+
+      proxySocket.on('error', () => clientSocket.destroy());
+      clientSocket.on('error', () => proxySocket.destroy());
+      proxySocket.pipe(clientSocket).pipe(proxySocket);
+      output.appendLine(`[代理] 连接已升级: ${targetUrlStr}`);
+    });
+
+    // 上游未同意升级：把普通响应原样转给客户端
+    proxyReq.on('response', (proxyRes) => {
+      const lines = [`HTTP/1.1 ${proxyRes.statusCode} ${proxyRes.statusMessage || ''}`];
+      for (let i = 0; i < proxyRes.rawHeaders.length; i += 2) {
+        if (/^(connection|keep-alive|transfer-encoding)$/i.test(proxyRes.rawHeaders[i])) continue;
+        lines.push(`${proxyRes.rawHeaders[i]}: ${proxyRes.rawHeaders[i + 1]}`);
+      }
+      lines.push('Connection: close');
+      clientSocket.write(lines.join('\r\n') + '\r\n\r\n');
+      proxyRes.pipe(clientSocket);
+    });
+
+    proxyReq.on('error', (err) => {
+      clearTimeout(connectTimer);
+      const code = timedOut ? 504 : 502;
+      output.appendLine(`[代理错误] 升级请求失败: ${err.message} -> ${code}`);
+      if (peer) recordPeerFailure(group, peer, err.message, output);
+      if (clientSocket.writable) {
+        writeRawResponse(clientSocket, code, timedOut ? '504 Gateway Timeout (Proxy Timeout)' : '502 Bad Gateway (Proxy Error)');
+      }
+    });
+
+    proxyReq.end();
+  } catch (err) {
+    output.appendLine(`[代理异常] 构建升级请求失败: ${err.message}`);
+    writeRawResponse(clientSocket, 500, '500 Internal Server Error (Proxy)');
+  }
+}
+
+/**
+ * @description 按 DER 规则编码一个 TLV 节点
+ * @param {number} tag 标签字节
+ * @param {...Buffer} parts 内容
+ * @returns {Buffer}
+ */
+function encodeDer(tag, ...parts) {
+  const body = Buffer.concat(parts);
+  let len = body.length;
+  const lenBytes = [];
+  if (len < 0x80) {
+    lenBytes.push(len);
+  } else {
+    while (len) {
+      lenBytes.unshift(len & 0xff);
+      len >>= 8;
+    }
+    lenBytes.unshift(0x80 | lenBytes.length);
+  }
+  return Buffer.concat([Buffer.from([tag, ...lenBytes]), body]);
+}
+
+/**
+ * @description 按 DER 规则编码 OBJECT IDENTIFIER
+ * @param {string} oid 点分形式的 OID
+ * @returns {Buffer}
+ */
+function encodeDerOid(oid) {
+  const parts = oid.split('.').map(Number);
+  const bytes = [parts[0] * 40 + parts[1]];
+  for (const part of parts.slice(2)) {
+    const encoded = [part & 0x7f];
+    for (let v = part >> 7; v; v >>= 7) encoded.unshift((v & 0x7f) | 0x80);
+    bytes.push(...encoded);
+  }
+  return encodeDer(0x06, Buffer.from(bytes));
+}
+
+/**
+ * @description 将 IP 地址转换为证书 subjectAltName 所需的字节形式
+ * @param {string} ip IPv4 或 IPv6 地址
+ * @returns {Buffer}
+ */
+function ipToBytes(ip) {
+  if (net.isIPv4(ip)) return Buffer.from(ip.split('.').map(Number));
+  const [head, tail] = ip.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = tail === undefined
+    ? headGroups
+    : [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+  const buf = Buffer.alloc(16);
+  groups.forEach((g, i) => buf.writeUInt16BE(parseInt(g, 16) || 0, i * 2));
+  return buf;
+}
+
+/**
+ * @description 生成自签名的 ECDSA P-256 证书（有效期一年），subjectAltName 包含给定的域名与 IP
+ * @param {string[]} names 证书适用的域名与 IP
+ * @returns {{ cert: string, key: string }} PEM 格式的证书与私钥
+ */
+function createSelfSignedCertificate(names) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const seq = (...parts) => encodeDer(0x30, ...parts);
+  const ecdsaWithSha256 = seq(encodeDerOid('1.2.840.10045.4.3.2'));
+  const subject = seq(encodeDer(0x31, seq(encodeDerOid('2.5.4.3'), encodeDer(0x0c, Buffer.from('node-http-nginx dev certificate')))));
+  // UTCTime 形如 261019123456Z
+  const utcTime = date => encodeDer(0x17, Buffer.from(date.toISOString().replace(/^\d\d|[-:T]|\.\d+/g, '')));
+  const now = Date.now();
+  const validity = seq(utcTime(new Date(now - 86400000)), utcTime(new Date(now + 365 * 86400000)));
+  const extension = (oid, critical, value) => seq(
+    encodeDerOid(oid),
+    ...(critical ? [encodeDer(0x01, Buffer.from([0xff]))] : []),
+    encodeDer(0x04, value)
+  );
+  const altNames = names.map(n => (net.isIP(n) ? encodeDer(0x87, ipToBytes(n)) : encodeDer(0x82, Buffer.from(n))));
+  const extensions = encodeDer(0xa3, seq(
+    extension('2.5.29.19', true, seq()),
+    extension('2.5.29.15', true, encodeDer(0x03, Buffer.from([0x07, 0x80]))),
+    extension('2.5.29.37', false, seq(encodeDerOid('1.3.6.1.5.5.7.3.1'))),
+    extension('2.5.29.17', false, seq(...altNames))
+  ));
+  const serial = crypto.randomBytes(16);
+  serial[0] = (serial[0] & 0x7f) | 0x40;
+
+  const tbs = seq(
+    encodeDer(0xa0, encodeDer(0x02, Buffer.from([2]))),
+    encodeDer(0x02, serial),
+    ecdsaWithSha256,
+    subject,
+    validity,
+    subject,
+    publicKey.export({ type: 'spki', format: 'der' }),
+    extensions
+  );
+  const signature = crypto.sign('sha256', tbs, privateKey);
+  const der = seq(tbs, ecdsaWithSha256, encodeDer(0x03, Buffer.from([0]), signature));
+  const body = der.toString('base64').match(/.{1,64}/g).join('\n');
+  return {
+    cert: `-----BEGIN CERTIFICATE-----\n${body}\n-----END CERTIFICATE-----\n`,
+    key: String(privateKey.export({ type: 'pkcs8', format: 'pem' }))
+  };
+}
+
+/**
+ * @description 自签名开发证书需要覆盖的名称：localhost、本机 IP 以及 server_name 中的精确名称与前缀通配
+ * @param {object} srv server 块配置
+ * @returns {string[]}
+ */
+function devCertificateNames(srv) {
+  const names = new Set(['localhost', '127.0.0.1', '::1']);
+  for (const n of srv.serverNames) {
+    if (!n || n === '_' || n.startsWith('~') || n.endsWith('.*')) continue;
+    if (n.startsWith('.')) {
+      names.add(n.slice(1));
+      names.add(`*${n}`);
+    } else {
+      names.add(n);
+    }
+  }
+  return Array.from(names);
+}
+
+/**
+ * @description 读取缓存的自签名证书，不存在或即将过期时重新生成
+ * @param {string} storageDir 插件的全局存储目录
+ * @param {string[]} names 证书适用的名称
+ * @param {vscode.OutputChannel} output 输出通道
+ * @returns {Promise<{ cert: string | Buffer, key: string | Buffer }>}
+ */
+async function ensureDevCertificate(storageDir, names, output) {
+  const dir = path.join(storageDir, 'certs');
+  const id = hashString(names.join(',')).toString(16);
+  const certPath = path.join(dir, `dev-${id}.crt`);
+  const keyPath = path.join(dir, `dev-${id}.key`);
+  try {
+    const [cert, key] = await Promise.all([fs.promises.readFile(certPath), fs.promises.readFile(keyPath)]);
+    if (Date.parse(new crypto.X509Certificate(cert).validTo) - Date.now() > 86400000) return { cert, key };
+  } catch {
+    // 缓存不存在或已损坏，重新生成
+  }
+  const generated = createSelfSignedCertificate(names);
+  await fs.promises.mkdir(dir, { recursive: true });
+  await fs.promises.writeFile(certPath, generated.cert);
+  await fs.promises.writeFile(keyPath, generated.key, { mode: 0o600 });
+  output.appendLine(`[成功] 已生成自签名证书: ${certPath} (${names.join(', ')})`);
+  output.appendLine('  - 浏览器会提示证书不受信任，可将该证书导入系统信任列表以消除警告');
+  return generated;
+}
+
+const TLS_PROTOCOLS = ['TLSv1', 'TLSv1.1', 'TLSv1.2', 'TLSv1.3'];
+
+/**
+ * @description 将 ssl_protocols 转换为 Node 的 minVersion / maxVersion；Node 只支持连续的版本范围
+ * @param {string[] | null} protocols ssl_protocols 的参数
+ * @param {vscode.OutputChannel} output 输出通道
+ * @param {string} label server 块标识，用于日志
+ * @returns {{ minVersion?: import('tls').SecureVersion, maxVersion?: import('tls').SecureVersion }}
+ */
+function tlsProtocolOptions(protocols, output, label) {
+  if (!protocols) return {};
+  const ignored = protocols.filter(p => !TLS_PROTOCOLS.includes(p));
+  if (ignored.length) {
+    output.appendLine(`[警告] ${label} 的 ssl_protocols 中 ${ignored.join(' ')} 不受 Node 支持，已忽略`);
+  }
+  const indexes = protocols.map(p => TLS_PROTOCOLS.indexOf(p)).filter(i => i >= 0).sort((a, b) => a - b);
+  if (!indexes.length) return {};
+  const min = indexes[0];
+  const max = indexes[indexes.length - 1];
+  if (max - min + 1 > new Set(indexes).size) {
+    output.appendLine(`[警告] ${label} 的 ssl_protocols 不连续，Node 将启用 ${TLS_PROTOCOLS[min]} 到 ${TLS_PROTOCOLS[max]} 之间的全部版本`);
+  }
+  return {
+    minVersion: /** @type {import('tls').SecureVersion} */ (TLS_PROTOCOLS[min]),
+    maxVersion: /** @type {import('tls').SecureVersion} */ (TLS_PROTOCOLS[max])
+  };
+}
+
+/**
+ * @description 为 server 块准备 TLS 参数：读取 ssl_certificate / ssl_certificate_key，
+ * 读取失败且开启了 generateDevCertificate 时改用自签名开发证书
+ * @param {object} srv server 块配置
+ * @param {vscode.ExtensionContext} context 插件上下文
+ * @param {vscode.OutputChannel} output 输出通道
+ * @returns {Promise<import('tls').SecureContextOptions | null>} 证书不可用时返回 null
+ */
+async function loadServerTlsOptions(srv, context, output) {
+  const conf = srv.ssl;
+  let cert;
+  let key;
+  try {
+    if (!conf.certificate || !conf.certificateKey) throw new Error('未配置 ssl_certificate / ssl_certificate_key');
+    [cert, key] = await Promise.all([fs.promises.readFile(conf.certificate), fs.promises.readFile(conf.certificateKey)]);
+  } catch (e) {
+    if (!getGenerateDevCertificate()) {
+      output.appendLine(`[错误] ${srv.label} 无法读取证书: ${e.message}`);
+      return null;
+    }
+    output.appendLine(`[警告] ${srv.label} 无法读取证书 (${e.message})，改用自签名开发证书`);
+    ({ cert, key } = await ensureDevCertificate(context.globalStorageUri.fsPath, devCertificateNames(srv), output));
+  }
+  /** @type {import('tls').SecureContextOptions} */
+  const options = { cert, key, ...tlsProtocolOptions(conf.protocols, output, srv.label) };
+  if (conf.ciphers) options.ciphers = conf.ciphers;
+  if (conf.preferServerCiphers) options.honorCipherOrder = true;
+  // 提前创建一次上下文：证书与私钥不匹配、ssl_ciphers 无效时在启动阶段报错
+  tls.createSecureContext(options);
+  return options;
+}
+
+/**
+ * @description 从 TLS ClientHello 中读取 SNI 主机名
+ * @param {Buffer} buf 连接上已收到的数据
+ * @returns {string | null | undefined} 主机名；不是 TLS 或没有 SNI 时为 null；数据还不完整时为 undefined
+ */
+function readClientHelloServerName(buf) {
+  if (buf.length < 5) return undefined;
+  if (buf[0] !== 0x16) return null;
+  const recordEnd = 5 + buf.readUInt16BE(3);
+  if (buf.length < recordEnd) return undefined;
+  try {
+    let pos = 5;
+    if (buf[pos] !== 0x01) return null;
+    pos += 4 + 2 + 32; // 握手头、client_version、random
+    pos += 1 + buf[pos]; // session_id
+    pos += 2 + buf.readUInt16BE(pos); // cipher_suites
+    pos += 1 + buf[pos]; // compression_methods
+    const extEnd = Math.min(recordEnd, pos + 2 + buf.readUInt16BE(pos));
+    pos += 2;
+    while (pos + 4 <= extEnd) {
+      const type = buf.readUInt16BE(pos);
+      const len = buf.readUInt16BE(pos + 2);
+      pos += 4;
+      // server_name 扩展：列表长度(2) + 类型(1，0 为 host_name) + 长度(2) + 名称
+      if (type === 0 && len >= 5 && buf[pos + 2] === 0) {
+        return buf.toString('ascii', pos + 5, pos + 5 + buf.readUInt16BE(pos + 3));
+      }
+      pos += len;
+    }
+  } catch {
+    // 报文格式异常，交给 TLS 层报错
+  }
+  return null;
+}
+
+/**
+ * @description 等待客户端发送 ClientHello 的最长时间，与 nginx 的 client_header_timeout 默认值一致
+ */
+const TLS_CLIENT_HELLO_TIMEOUT = 60 * 1000;
+
+/**
+ * @description 创建 HTTPS 监听：先读取 ClientHello 中的 SNI 选出 server 块，再交给该 server 块专属的 https 服务完成握手。
+ * 不使用 SNICallback 是因为 Node 切换证书时只覆盖同类型密钥的证书槽，默认证书与 SNI 证书类型不同（如 RSA 与 ECDSA）时会发错证书
+ * 每个新连接都读取 entry 上当前的 listener 与 tlsByServer，热重载后新连接即使用新证书
+ * @param {{ listener: object, tlsByServer: Map<object, import('tls').SecureContextOptions> }} entry 监听项
+ * @param {(req: http.IncomingMessage, res: http.ServerResponse) => void} onRequest 请求处理函数
+ * @param {(req: http.IncomingMessage, socket: import('stream').Duplex, head: Buffer) => void} onUpgrade Upgrade 处理函数
+ * @param {vscode.OutputChannel} output 输出通道
+ * @returns {net.Server}
+ */
+function createTlsListenerServer(entry, onRequest, onUpgrade, output) {
+  // 以 server 块为键；重载后旧配置的 server 块不再被引用，对应的 https 服务随之回收
+  const httpsServers = new WeakMap();
+  const httpsServerFor = (srv) => {
+    let server = httpsServers.get(srv);
+    if (!server) {
+      server = https.createServer(entry.tlsByServer.get(srv), onRequest);
+      server.on('upgrade', onUpgrade);
+      server.on('tlsClientError', (err) => output.appendLine(`[警告] TLS 握手失败: ${err.message}`));
+      httpsServers.set(srv, server);
+    }
+    return server;
+  };
+
+  return net.createServer((socket) => {
+    let buffered = Buffer.alloc(0);
+    // 等待 ClientHello 期间出错（如客户端重置连接）或超时时直接关闭；交给 https 服务后由它自己处理
+    const onError = () => socket.destroy();
+    const onTimeout = () => socket.destroy();
+    const onData = (chunk) => {
+      buffered = Buffer.concat([buffered, chunk]);
+      const servername = readClientHelloServerName(buffered);
+      // ClientHello 最长为一个 TLS 记录（16KB）
+      if (servername === undefined && buffered.length < 16384 + 5) return;
+      socket.off('data', onData);
+      socket.off('error', onError);
+      socket.off('timeout', onTimeout);
+      socket.setTimeout(0);
+      socket.pause();
+      socket.unshift(buffered);
+      const listener = listenerForAddress(entry.listener, socket.localAddress);
+      const srv = servername ? pickServer(listener, servername) : listener.defaultServer;
+      httpsServerFor(srv).emit('connection', socket);
+    };
+    socket.on('error', onError);
+    socket.on('timeout', onTimeout);
+    socket.setTimeout(TLS_CLIENT_HELLO_TIMEOUT);
+    socket.on('data', onData);
+  });
+}
+
+/**
+ * @description 停止正在运行的 Node 模拟服务
+ */
+async function nodeStop() {
+  try {
+    if (nodeHttpServers.length) {
+      // 强制关闭所有存活的连接，否则 server.close() 会等待连接自然关闭
+      if (sockets.size > 0) {
+        for (const socket of sockets) {
+          socket.destroy();
+        }
+        sockets.clear();
+      }
+
+      for (const entry of nodeHttpServers) {
+        try {
+          entry.server.close();
+        } catch (e) {
+          console.error('停止服务器时出错:', e);
+        }
+      }
+      
+      nodeHttpServers = [];
+      nodeUpstreams = [];
+      closeAccessLogs();
+      unwatchNodeConfigFiles();
+      await setNodeUiState('stopped');
+      updateStatusBar();
+      if (treeDataProvider) treeDataProvider.refresh();
+      vscode.window.showInformationMessage('Node Nginx 模拟服务已停止。');
+    }
+  } catch (error) {
+    vscode.window.showErrorMessage(`停止服务时发生错误: ${error.message}`);
+  }
+}
+
+/**
+ * @description 打开插件设置界面
+ */
+async function openSettings() {
+  await vscode.commands.executeCommand('workbench.action.openSettings', CONFIG_SECTION);
+}
+
+/**
+ * @description 弹出对话框让用户手动选择 nginx.conf
+ */
+async function selectNodeConfig() {
+  const picked = await vscode.window.showOpenDialog({
+    canSelectFolders: false,
+    canSelectFiles: true,
+    canSelectMany: false,
+    openLabel: '选择 nginx.conf'
+  });
+  if (!picked?.length) return;
+  
+  const abs = picked[0].fsPath;
+  const saved = toWorkspaceRelativeIfPossible(abs);
+  await getConfig().update('nodeConfigPath', saved, vscode.ConfigurationTarget.Workspace);
+
+  const root = getWorkspaceRoot();
+  if (root) {
+    const rootLower = path.resolve(root).toLowerCase();
+    const fileLower = path.resolve(abs).toLowerCase();
+    if (fileLower.startsWith(rootLower + path.sep)) {
+      await getConfig().update('nodeBaseDir', '', vscode.ConfigurationTarget.Workspace);
+    } else {
+      await getConfig().update('nodeBaseDir', path.dirname(abs), vscode.ConfigurationTarget.Workspace);
+    }
+  }
+
+  if (treeDataProvider) treeDataProvider.refresh();
+}
+
+/**
+ * @description 在编辑器中打开当前使用的 nginx.conf
+ */
+async function openNodeConfig() {
+  const configPath = await resolveNodeConfigPath();
+  if (!configPath) {
+    vscode.window.showErrorMessage('未找到 nginx.conf（请先选择或设置 nodeHttpNginx.nodeConfigPath）。');
+    return;
+  }
+  return openFile(configPath);
+}
+
+/**
+ * @description 读取配置文件内容；文件已在编辑器中打开时使用其当前（可能未保存的）内容，使行号与编辑器一致
+ * @param {string} file 文件路径
+ * @returns {Promise<string>}
+ */
+async function readConfigText(file) {
+  const doc = vscode.workspace.textDocuments.find(d => d.uri.fsPath === file);
+  return doc ? doc.getText() : fs.promises.readFile(file, 'utf8');
+}
+
+/**
+ * @description 校验主配置及其 include 的全部文件，把问题显示为编辑器中的诊断
+ * 已在编辑器中打开的文件使用其当前（可能未保存的）内容
+ */
+async function refreshConfigDiagnostics() {
+  if (!configDiagnostics) return;
+  const run = ++diagnosticRun;
+  const configPath = await resolveNodeConfigPath();
+  let loaded = null;
+  if (configPath) {
+    try {
+      loaded = await loadNginxConfig(configPath, { readText: readConfigText });
+      validateNginxAst(loaded.ast, loaded.problems);
+    } catch {
+      // 主配置不可读时不显示诊断
+      loaded = null;
+    }
+  }
+  // 较早开始的校验晚于新的校验完成时丢弃其结果
+  if (run !== diagnosticRun) return;
+  // 配置内容变化后，侧边栏的配置大纲随之重新解析
+  configOutline = undefined;
+  if (treeDataProvider) treeDataProvider.refresh();
+
+  configDiagnostics.clear();
+  diagnosticFiles = new Set(loaded ? loaded.files : []);
+  if (configPath) diagnosticFiles.add(path.resolve(configPath));
+  if (!loaded) return;
+  const byFile = new Map();
+  for (const p of loaded.problems) {
+    const range = new vscode.Range(p.line, p.col, p.endLine, p.endCol);
+    const severity = p.severity === 'error' ? vscode.DiagnosticSeverity.Error : vscode.DiagnosticSeverity.Warning;
+    const diagnostic = new vscode.Diagnostic(range, p.message, severity);
+    diagnostic.source = 'nginx';
+    if (!byFile.has(p.file)) byFile.set(p.file, []);
+    byFile.get(p.file).push(diagnostic);
+  }
+  for (const [file, list] of byFile) {
+    configDiagnostics.set(vscode.Uri.file(file), list);
+  }
+}
+
+/**
+ * @description 配置文件被编辑、保存或打开时重新校验；编辑时防抖以免每次按键都解析
+ * @param {vscode.TextDocument} document 发生变化的文档
+ * @param {number} delay 延迟毫秒数
+ */
+function scheduleConfigDiagnostics(document, delay) {
+  const file = document.uri.fsPath;
+  if (!diagnosticFiles.has(file) && path.basename(file) !== 'nginx.conf') return;
+  if (diagnosticTimer) clearTimeout(diagnosticTimer);
+  diagnosticTimer = setTimeout(() => {
+    diagnosticTimer = undefined;
+    refreshConfigDiagnostics();
+  }, delay);
+}
+
+/**
+ * @description 解释一个请求会如何被路由：选中的 server 块、每个 location 候选的胜负原因、执行的 rewrite，
+ * 以及最终映射到的文件路径或 proxy_pass 拼接出的上游地址。只读取配置，不需要启动服务
+ * @param {vscode.ExtensionContext} context 插件上下文
+ * @param {string} [input] 形如 "[方法] URL [Host]" 的请求描述，省略时弹出输入框
+ */
+async function explainUrl(context, input) {
+  const text = input ?? await vscode.window.showInputBox({
+    prompt: '要解释的请求：[方法] URL [Host]，URL 可以只写路径',
+    placeHolder: 'GET http://localhost:8080/api/users?id=1 api.example.com'
+  });
+  if (!text || !text.trim()) return;
+  const parts = text.trim().split(/\s+/);
+  const method = /^[A-Z]+$/.test(parts[0]) && parts.length > 1 ? parts.shift() : 'GET';
+  const [rawUrl, hostOverride] = parts;
+
+  const configPath = await resolveNodeConfigPath();
+  if (!configPath) {
+    vscode.window.showErrorMessage('未找到 nginx.conf（请在工作区放置 nginx.conf，或通过设置指定路径）。');
+    return;
+  }
+  let cfg;
+  try {
+    const loaded = await loadNginxConfig(configPath);
+    const syntaxError = loaded.problems.find(p => p.severity === 'error');
+    if (syntaxError) throw new Error(formatConfigProblem(syntaxError));
+    cfg = buildNodeServerConfigFromAst(loaded.ast, configPath, resolveNodeBaseDir(configPath));
+  } catch (e) {
+    vscode.window.showErrorMessage(`解析 nginx.conf 失败：${e.message}`);
+    return;
+  }
+  if (!cfg || !cfg.listeners.length) {
+    vscode.window.showErrorMessage('解析 nginx.conf 失败：未找到有效的 http/server 配置块。');
+    return;
+  }
+
+  const listeners = resolveNodeListeners(cfg);
+  let url;
+  try {
+    // 只写路径时发往第一个监听；省略协议时按 http 处理
+    const first = listeners[0];
+    const base = `${first.ssl ? 'https' : 'http'}://localhost:${first.port}`;
+    url = new URL(rawUrl.startsWith('/') ? `${base}${rawUrl}` : /^https?:\/\//i.test(rawUrl) ? rawUrl : `http://${rawUrl}`);
+  } catch {
+    vscode.window.showErrorMessage(`无效的 URL：${rawUrl}`);
+    return;
+  }
+
+  const output = ensureOutputChannel(context);
+  output.show(true);
+  const lines = [];
+  const trace = line => lines.push(`  ${line}`);
+  const ssl = url.protocol === 'https:';
+  const port = Number(url.port) || (ssl ? 443 : 80);
+  const hostHeader = hostOverride || url.host;
+  lines.push(`> [${new Date().toLocaleTimeString()}] 解释请求: ${method} ${url.href}${hostOverride ? ` (Host: ${hostOverride})` : ''}`);
+  lines.push(`- 配置文件: ${configPath}`);
+
+  // 1. 监听：优先选择端口与主机都一致的，其次是监听通配地址的
+  const samePort = listeners.filter(l => l.port === port);
+  const listener = samePort.find(l => l.host === url.hostname)
+    || samePort.find(l => ['0.0.0.0', '::', ''].includes(l.host))
+    || samePort[0];
+  if (!listener) {
+    lines.push(`- 监听: 没有 server 监听端口 ${port}（已配置: ${listeners.map(l => formatListenAddress(l.host, l.port, l.ssl)).join(', ')}）`);
+    output.appendLine(lines.join('\n'));
+    return;
+  }
+  lines.push(`- 监听: ${formatListenAddress(listener.host, listener.port, listener.ssl)}`);
+  if (listener.ssl !== ssl) lines.push(`  [警告] 该端口${listener.ssl ? '只接受 HTTPS' : '不是 ssl 监听'}，实际请求会失败`);
+
+  // 2. server 块
+  const reasons = [];
+  const srv = pickServer(listenerForAddress(listener, url.hostname), hostHeader, line => reasons.push(`  ${line}`));
+  lines.push(`- server: ${srv.label}`, ...reasons);
+
+  // 3. rewrite 与 location，与真实请求走同一套逻辑
+  // 构造与真实请求形状一致的对象，供变量展开（$host、$scheme、$remote_addr 等）使用
+  /** @type {any} */
+  const req = {
+    method,
+    url: `${url.pathname}${url.search}`,
+    headers: { host: hostHeader },
+    socket: { remoteAddress: '127.0.0.1', remotePort: 0, localAddress: listener.host, localPort: listener.port, encrypted: listener.ssl }
+  };
+  const ctx = createRequestContext(req, url, srv);
+  lines.push('- 处理过程:');
+  const { loc, result, error } = await resolveRequestLocation(srv, ctx, trace, async (l) => {
+    const auth = (l || srv).authBasic;
+    if (auth.realm && auth.userFile) {
+      trace(`auth_basic "${auth.realm}": 需要 ${toWorkspaceRelativeIfPossible(auth.userFile)} 中的用户名与密码，否则返回 401`);
+    }
+    return null;
+  });
+
+  // 4. 最终结果
+  if (error) {
+    lines.push(`- 结果: 500（${error}）`);
+  } else if (result) {
+    const redirect = [301, 302, 303, 307, 308].includes(result.code);
+    lines.push(`- 结果: ${redirect ? `${result.code} 重定向到 ${result.text}` : `return ${result.code}${result.text === undefined ? '' : ` "${result.text}"`}`}`);
+  } else if (loc?.proxyPass) {
+    const target = resolveProxyTarget(loc, ctx);
+    lines.push(`- 结果: proxy_pass ${loc.proxyPass} -> ${target}`);
+    const mockMode = getMockMode(loc);
+    if (mockMode === 'replay') {
+      const source = getRecordFormat() === 'har' ? getRecordHarFile() : getMockFixturesDir();
+      lines.push(`  mock 模式: ${MOCK_MODE_LABELS[mockMode]}（${toWorkspaceRelativeIfPossible(source)}，不连接上游）`);
+    } else if (mockMode !== 'real') {
+      lines.push(`  mock 模式: ${MOCK_MODE_LABELS[mockMode]}（fixture 目录 ${toWorkspaceRelativeIfPossible(getMockFixturesDir())}）`);
+    }
+    let group;
+    try {
+      group = findUpstreamGroup(new URL(target), ctx);
+    } catch {
+      // 含变量的 proxy_pass 展开后可能不是合法 URL
+    }
+    if (group) lines.push(`  upstream ${group.name} (${group.method}): ${group.peers.map(p => `${formatPeer(p)}${p.backup ? ' backup' : ''}${p.down ? ' down' : ''}`).join(', ')}`);
+  } else {
+    const filePath = mapUriToPath(loc, srv, ctx, ctx.uri);
+    if (loc?.alias) lines.push(`  alias: ${loc.alias}`);
+    else lines.push(`  root: ${loc?.root || srv.serverRoot}`);
+    let stats = null;
+    try {
+      stats = filePath ? await fs.promises.stat(filePath) : null;
+    } catch {
+      // 不存在时按 404 说明
+    }
+    if (!filePath) {
+      lines.push('- 结果: 403（路径越出根目录）');
+    } else if (!stats) {
+      lines.push(`- 结果: 404（${filePath} 不存在）`);
+    } else if (stats.isDirectory() && !ctx.uri.endsWith('/')) {
+      lines.push(`- 结果: 301 到 ${encodeURI(`${ctx.uri}/`)}（目录缺少结尾的 /）`);
+    } else if (stats.isDirectory()) {
+      let found = '';
+      for (const name of (loc ? loc.index : srv.serverIndex)) {
+        const candidate = path.join(filePath, name);
+        const isFile = await fs.promises.stat(candidate).then(st => st.isFile(), () => false);
+        lines.push(`  index ${name}: ${candidate} ${isFile ? '存在' : '不存在'}`);
+        if (isFile) {
+          found = candidate;
+          break;
+        }
+      }
+      const autoindex = (loc || srv).autoindex;
+      if (found) lines.push(`- 结果: 静态文件 ${found}`);
+      else if (autoindex.enabled) lines.push(`- 结果: autoindex 目录列表（${autoindex.format}）${filePath}`);
+      else lines.push(`- 结果: 404（目录 ${filePath} 中没有 index 文件）`);
+    } else {
+      lines.push(`- 结果: 静态文件 ${filePath}`);
+    }
+  }
+  output.appendLine(lines.join('\n'));
+}
+
+/**
+ * @description 合并短时间内的多次状态变化，延迟刷新树视图
+ */
+function scheduleTreeRefresh() {
+  if (!treeDataProvider || treeRefreshTimer) return;
+  treeRefreshTimer = setTimeout(() => {
+    treeRefreshTimer = undefined;
+    if (treeDataProvider) treeDataProvider.refresh();
+  }, 200);
+  treeRefreshTimer.unref();
+}
+
+/**
+ * @description 生成 upstream 服务器在树视图中的状态描述与图标
+ * @param {object} peer upstream 服务器
+ * @returns {{ description: string, icon: vscode.ThemeIcon }}
+ */
+function describePeerState(peer) {
+  const now = Date.now();
+  const stats = `活动 ${peer.active} · 请求 ${peer.requests} · 失败 ${peer.fails}`;
+  const params = [peer.weight !== 1 ? `weight=${peer.weight}` : '', peer.backup ? 'backup' : ''].filter(Boolean).join(' ');
+  const prefix = params ? `${params} · ` : '';
+  if (peer.down) {
+    return { description: `${prefix}已停用 (down)`, icon: new vscode.ThemeIcon('circle-slash') };
+  }
+  if (!isPeerAvailable(peer, now)) {
+    const seconds = Math.max(0, Math.ceil((peer.checked + peer.failTimeout - now) / 1000));
+    return {
+      description: `${prefix}不可用，${seconds}s 后重试 · ${stats}`,
+      icon: new vscode.ThemeIcon('error', new vscode.ThemeColor('charts.red'))
+    };
+  }
+  const color = peer.fails ? 'charts.yellow' : 'charts.green';
+  return { description: `${prefix}正常 · ${stats}`, icon: new vscode.ThemeIcon('pass', new vscode.ThemeColor(color)) };
+}
+
+/**
+ * @description 树视图中的项
+ */
+class NginxItem extends vscode.TreeItem {
+  constructor(label, collapsibleState, meta) {
+    super(label, collapsibleState);
+    this.meta = meta;
+  }
+}
+
+/**
+ * @description 解析当前配置供侧边栏大纲使用；结果缓存到配置变化为止，已打开的文件使用编辑器中的内容
+ * @returns {Promise<{ cfg?: object, listeners?: object[], error?: string } | null>}
+ */
+function loadConfigOutline() {
+  if (!configOutline) {
+    configOutline = (async () => {
+      const configPath = await resolveNodeConfigPath();
+      if (!configPath) return null;
+      const loaded = await loadNginxConfig(configPath, { readText: readConfigText });
+      const syntaxError = loaded.problems.find(p => p.severity === 'error');
+      if (syntaxError) return { error: formatConfigProblem(syntaxError) };
+      const cfg = buildNodeServerConfigFromAst(loaded.ast, configPath, resolveNodeBaseDir(configPath));
+      if (!cfg) return { error: '未找到有效的 http/server 配置块' };
+      return { cfg, listeners: resolveNodeListeners(cfg) };
+    })().catch(e => ({ error: e?.message || String(e) }));
+  }
+  return configOutline;
+}
+
+/**
+ * @description 计算在浏览器中访问某个 server 块下路径的地址
+ * default_server 用 localhost（或监听的具体地址）即可命中；其他 server 块用第一个精确的 server_name，使 Host 头能选中它。
+ * 只有通配或正则名称的非默认 server 块无法构造出确定的地址，返回 undefined
+ * @param {object} listener 监听配置
+ * @param {object} srv server 块配置
+ * @param {string} pathname 路径
+ * @returns {string | undefined}
+ */
+function outlineUrl(listener, srv, pathname) {
+  const exactName = srv.serverNames.find(n => n && n !== '_' && !/[*~]/.test(n) && !n.startsWith('.'));
+  const listenHost = ['0.0.0.0', '::', ''].includes(listener.host) ? 'localhost' : listener.host;
+  if (listener.defaultServer !== srv && !exactName) return undefined;
+  let host = listener.defaultServer === srv ? listenHost : exactName;
+  if (host.includes(':')) host = `[${host}]`;
+  const port = listener.port === (listener.ssl ? 443 : 80) ? '' : `:${listener.port}`;
+  return `${listener.ssl ? 'https' : 'http'}://${host}${port}${encodeURI(pathname)}`;
+}
+
+/**
+ * @description 创建配置大纲中的节点；带有文件与行号的节点点击后跳转到配置中的对应行
+ * @param {string} label 标签
+ * @param {{ description?: string, icon?: string, file?: string, line?: number, children?: () => vscode.TreeItem[], url?: string, mockLocation?: object }} options
+ * @returns {NginxItem}
+ */
+function createOutlineItem(label, options) {
+  const collapsible = options.children ? vscode.TreeItemCollapsibleState.Collapsed : vscode.TreeItemCollapsibleState.None;
+  const node = new NginxItem(label, collapsible, { outlineChildren: options.children, url: options.url, mockLocation: options.mockLocation });
+  if (options.description) node.description = options.description;
+  if (options.icon) node.iconPath = new vscode.ThemeIcon(options.icon);
+  if (options.file) {
+    node.tooltip = `${options.file}:${(options.line || 0) + 1}`;
+    node.command = { command: 'nodeHttpNginx.openFile', title: '跳转到配置', arguments: [options.file, options.line] };
+  }
+  // 可以在浏览器中打开的节点与 proxy_pass 的 location 提供右键菜单
+  const contexts = [options.url ? 'nginxOutlineUrl' : '', options.mockLocation ? 'nginxMockable' : ''].filter(Boolean);
+  if (contexts.length) node.contextValue = contexts.join(' ');
+  return node;
+}
+
+/**
+ * @description 配置大纲中的 location 节点，嵌套的 location 作为子节点
+ * @param {object} loc location 配置
+ * @param {object} listener 所属监听
+ * @param {object} srv 所属 server 块
+ * @returns {NginxItem}
+ */
+function createLocationOutlineItem(loc, listener, srv) {
+  const ret = loc.rewrites.find(r => r.type === 'return');
+  const mockMode = loc.proxyPass ? getMockMode(loc) : 'real';
+  const target = loc.proxyPass ? `→ ${loc.proxyPass}${mockMode === 'real' ? '' : ` · ${MOCK_MODE_LABELS[mockMode]}`}`
+    : ret ? `return ${ret.code}${ret.text ? ` ${ret.text}` : ''}`
+      : loc.alias ? `alias ${loc.alias}`
+        : `root ${loc.root || toWorkspaceRelativeIfPossible(srv.serverRoot)}`;
+  return createOutlineItem(formatLocationMatcher(loc), {
+    description: loc.kind === 'named' ? `命名 location · ${target}` : target,
+    icon: loc.kind === 'named' ? 'symbol-reference' : loc.proxyPass ? 'arrow-swap' : 'folder',
+    file: loc.file,
+    line: loc.line,
+    // 正则与命名 location 没有确定的访问地址
+    url: loc.kind === 'prefix' || loc.kind === 'exact' ? outlineUrl(listener, srv, loc.matcher) : undefined,
+    mockLocation: loc.proxyPass ? loc : undefined,
+    children: loc.locations.length ? () => loc.locations.map(child => createLocationOutlineItem(child, listener, srv)) : undefined
+  });
+}
+
+/**
+ * @description 配置大纲的顶层节点：各监听（其下为 server 块与 location）以及 upstream 组
+ * @returns {Promise<vscode.TreeItem[]>}
+ */
+async function getConfigOutlineItems() {
+  const outline = await loadConfigOutline();
+  if (!outline) return [createOutlineItem('未找到 nginx.conf', { icon: 'info' })];
+  if (outline.error) return [createOutlineItem('配置有误，无法生成大纲', { description: outline.error, icon: 'warning' })];
+
+  const listenerItems = outline.listeners.map(listener => createOutlineItem(`监听 ${formatListenAddress(listener.host, listener.port, listener.ssl)}`, {
+    description: `${listener.servers.length} 个 server`,
+    icon: 'radio-tower',
+    file: listener.file,
+    line: listener.line,
+    children: () => listener.servers.map(srv => createOutlineItem(`server ${srv.serverNames.join(' ') || '_'}`, {
+      description: listener.defaultServer === srv ? 'default_server' : '',
+      icon: 'server',
+      file: srv.file,
+      line: srv.line,
+      url: outlineUrl(listener, srv, '/'),
+      children: srv.locations.length ? () => srv.locations.map(loc => createLocationOutlineItem(loc, listener, srv)) : undefined
+    }))
+  }));
+  const upstreamItems = Object.values(outline.cfg.upstreams).map(group => createOutlineItem(`upstream ${group.name}`, {
+    description: group.method === 'hash' ? `hash ${group.hashKey}${group.consistent ? ' consistent' : ''}` : group.method,
+    icon: 'server-environment',
+    file: group.file,
+    line: group.line,
+    children: group.peers.length ? () => group.peers.map(peer => createOutlineItem(peer.name, {
+      description: [
+        peer.weight !== 1 ? `weight=${peer.weight}` : '',
+        peer.maxFails !== 1 ? `max_fails=${peer.maxFails}` : '',
+        peer.backup ? 'backup' : '',
+        peer.down ? 'down' : ''
+      ].filter(Boolean).join(' '),
+      icon: 'circle-outline',
+      file: peer.file,
+      line: peer.line
+    })) : undefined
+  }));
+  return [...listenerItems, ...upstreamItems];
+}
+
+/**
+ * @description 在浏览器中打开配置大纲节点对应的地址
+ * @param {NginxItem} item 树节点
+ */
+async function openOutlineUrl(item) {
+  const url = item?.meta?.url;
+  if (!url) return;
+  await vscode.env.openExternal(vscode.Uri.parse(url));
+}
+
+/**
+ * @description 复制配置大纲节点对应的地址
+ * @param {NginxItem} item 树节点
+ */
+async function copyOutlineUrl(item) {
+  const url = item?.meta?.url;
+  if (!url) return;
+  await vscode.env.clipboard.writeText(url);
+  vscode.window.showInformationMessage(`已复制: ${url}`);
+}
+
+/**
+ * @description 树视图数据提供者，管理 UI 上的操作菜单
+ */
+class NginxTreeDataProvider {
+  constructor() {
+    this._onDidChangeTreeData = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+  }
+
+  refresh() {
+    this._onDidChangeTreeData.fire();
+  }
+
+  getTreeItem(element) {
+    return element;
+  }
+
+  async getChildren(element) {
+    if (!element) {
+      const resolvedNodeConfig = await resolveNodeConfigPath();
+      const running = nodeHttpServers.length > 0;
+      const status = running ? '运行中' : '已停止';
+      const items = [
+        { 
+          label: `服务状态: ${status}`, 
+          icon: running 
+            ? new vscode.ThemeIcon('zap', new vscode.ThemeColor('charts.green')) 
+            : new vscode.ThemeIcon('debug-stop', new vscode.ThemeColor('charts.red')) 
+        },
+        ...nodeHttpServers.map(entry => ({
+          label: `监听: ${formatListenAddress(entry.host, entry.port, entry.ssl)}`,
+          icon: new vscode.ThemeIcon('radio-tower')
+        })),
+        ...nodeUpstreams.map(group => ({
+          label: `upstream ${group.name}`,
+          description: group.method === 'hash' ? `hash ${group.hashKey}${group.consistent ? ' consistent' : ''}` : group.method,
+          upstream: group,
+          icon: new vscode.ThemeIcon('server-environment')
+        })),
+        { label: '配置大纲', outline: true, icon: new vscode.ThemeIcon('list-tree') },
+        { label: '请求检查器', command: 'nodeHttpNginx.openInspector', icon: new vscode.ThemeIcon('inspect') },
+        recording
+          ? { label: '停止录制', description: `${recording.count} 个请求 · ${recording.format === 'har' ? 'HAR' : 'fixtures'}`, command: 'nodeHttpNginx.stopRecording', icon: new vscode.ThemeIcon('record', new vscode.ThemeColor('charts.red')) }
+          : { label: '录制上游响应', command: 'nodeHttpNginx.startRecording', icon: new vscode.ThemeIcon('record') },
+        resolvedNodeConfig 
+        ? { label: '编辑配置文件', command: 'nodeHttpNginx.openFile', arguments: [resolvedNodeConfig], icon: new vscode.ThemeIcon('edit') }
+        : { label: '配置 nginx.conf', command: 'nodeHttpNginx.selectNodeConfig', icon: new vscode.ThemeIcon('file-add') },
+        { label: '启动服务', command: 'nodeHttpNginx.nodeStart', icon: new vscode.ThemeIcon('play', new vscode.ThemeColor('charts.green')) },
+        { label: '停止服务', command: 'nodeHttpNginx.nodeStop', icon: new vscode.ThemeIcon('primitive-square', new vscode.ThemeColor('charts.red')) },
+        { label: '重启服务', command: 'nodeHttpNginx.nodeRestart', icon: new vscode.ThemeIcon('refresh', new vscode.ThemeColor('charts.blue')) },
+        { label: '重载配置', command: 'nodeHttpNginx.nodeReload', icon: new vscode.ThemeIcon('sync', new vscode.ThemeColor('charts.blue')) },
+        { label: '插件设置', command: 'nodeHttpNginx.openSettings', icon: new vscode.ThemeIcon('settings-gear') }
+      ];
+      return items.map(it => {
+        const collapsible = it.upstream ? vscode.TreeItemCollapsibleState.Expanded
+          : it.outline ? vscode.TreeItemCollapsibleState.Collapsed : vscode.TreeItemCollapsibleState.None;
+        const node = new NginxItem(it.label, collapsible, { command: it.command, upstream: it.upstream, outline: it.outline });
+        if (it.command) {
+          node.command = { command: it.command, title: it.label, arguments: it.arguments };
+        }
+        if (it.description) node.description = it.description;
+        if (it.icon) node.iconPath = it.icon;
+        return node;
+      });
+    }
+    if (element.meta?.outline) return getConfigOutlineItems();
+    if (element.meta?.outlineChildren) return element.meta.outlineChildren();
+    // upstream 组下展示每台服务器的实时状态
+    if (element.meta?.upstream) {
+      return element.meta.upstream.peers.map(peer => {
+        const state = describePeerState(peer);
+        const node = new NginxItem(peer.name, vscode.TreeItemCollapsibleState.None, { peer });
+        node.description = state.description;
+        node.iconPath = state.icon;
+        node.tooltip = peer.lastError ? `最近一次失败: ${peer.lastError}` : peer.name;
+        return node;
+      });
+    }
+    return [];
+  }
+}
+
+/**
+ * @description 在 VS Code 中打开文件，指定行号时定位到该行
+ * @param {string} filePath 文件绝对路径
+ * @param {number} [line] 从 0 开始的行号
+ */
+async function openFile(filePath, line) {
+  const p = String(filePath || '').trim();
+  if (!p) return;
+  try {
+    const doc = await vscode.workspace.openTextDocument(vscode.Uri.file(p));
+    const options = { preview: false };
+    if (typeof line === 'number') {
+      const pos = new vscode.Position(line, 0);
+      options.selection = new vscode.Range(pos, pos);
+    }
+    await vscode.window.showTextDocument(doc, options);
+  } catch (e) {
+    vscode.window.showErrorMessage(`无法打开文件: ${e.message}`);
+  }
+}
+
+/**
+ * @description 获取 access_log 文件的追加写入流，同一文件在服务运行期间只打开一次
+ * @param {string} filePath 日志文件路径
+ * @param {vscode.OutputChannel} output 输出通道
+ * @returns {fs.WriteStream}
+ */
+function getAccessLogStream(filePath, output) {
+  let stream = accessLogStreams.get(filePath);
+  if (!stream) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    stream = fs.createWriteStream(filePath, { flags: 'a' });
+    stream.on('error', (e) => output.appendLine(`[错误] 无法写入访问日志 ${filePath}: ${e.message}`));
+    accessLogStreams.set(filePath, stream);
+  }
+  return stream;
+}
+
+/**
+ * @description 关闭所有 access_log 写入流
+ */
+function closeAccessLogs() {
+  for (const stream of accessLogStreams.values()) {
+    stream.end();
+  }
+  accessLogStreams.clear();
+}
+
+/**
+ * @description 开始跟踪一次请求：统计发送的响应体字节数，连接上的响应结束后写访问日志
+ * @param {object} cfg 处理该请求的 server 块配置
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {vscode.OutputChannel} output 输出通道
+ * @returns {{ startedAt: number, ctx: object | null, loc: object | null, bodyBytes: number, bodyPreview: Buffer[], target: string, headHeaders: object | null }}
+ */
+function trackRequest(cfg, req, res, output) {
+  const entry = { startedAt: Date.now(), ctx: null, loc: null, bodyBytes: 0, bodyPreview: [], target: '', headHeaders: null };
+  const anyRes = /** @type {any} */ (res);
+  const writeHead = anyRes.writeHead;
+  const write = anyRes.write;
+  const end = anyRes.end;
+  const count = (chunk, encoding) => {
+    if (!chunk || typeof chunk === 'function') return;
+    const buf = Buffer.isBuffer(chunk)
+      ? chunk
+      : Buffer.from(String(chunk), typeof encoding === 'string' ? /** @type {BufferEncoding} */ (encoding) : 'utf8');
+    // 请求检查器只保留响应体开头的一段用于预览
+    const kept = entry.bodyBytes < INSPECTOR_BODY_LIMIT ? buf.subarray(0, INSPECTOR_BODY_LIMIT - entry.bodyBytes) : null;
+    if (kept?.length) entry.bodyPreview.push(Buffer.from(kept));
+    entry.bodyBytes += buf.length;
+  };
+  // 未调用过 setHeader 时，writeHead 直接传入的头部不会出现在 getHeaders() 中，单独记下供请求检查器展示
+  anyRes.writeHead = function (statusCode, ...rest) {
+    const headers = rest.find(a => a && typeof a === 'object');
+    if (headers) entry.headHeaders = headers;
+    return writeHead.call(this, statusCode, ...rest);
+  };
+  anyRes.write = function (chunk, encoding, cb) {
+    count(chunk, encoding);
+    return write.call(this, chunk, encoding, cb);
+  };
+  anyRes.end = function (chunk, encoding, cb) {
+    count(chunk, encoding);
+    return end.call(this, chunk, encoding, cb);
+  };
+  res.once('close', () => finishRequest(entry, cfg, req, res, output));
+  return entry;
+}
+
+/**
+ * @description 请求结束时填充 $status、$body_bytes_sent、$request_time、$upstream_* 等变量，
+ * 按 access_log 写日志文件，JSON 模式下同时在输出面板输出一行请求摘要
+ * @param {{ startedAt: number, ctx: object | null, loc: object | null, bodyBytes: number, bodyPreview: Buffer[], target: string, headHeaders: object | null }} entry trackRequest 返回的记录
+ * @param {object} cfg 处理该请求的 server 块配置
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {vscode.OutputChannel} output 输出通道
+ */
+function finishRequest(entry, cfg, req, res, output) {
+  try {
+    const ctx = entry.ctx || createRequestContext(req, new URL('http://localhost/'), cfg);
+    const elapsed = Date.now() - entry.startedAt;
+    const header = /** @type {any} */ (res)._header;
+    // 与 nginx 一致：响应头发出前客户端已断开时记为 499
+    const status = res.headersSent ? res.statusCode : 499;
+    Object.assign(ctx.vars, {
+      status: String(status),
+      body_bytes_sent: String(entry.bodyBytes),
+      bytes_sent: String(entry.bodyBytes + (typeof header === 'string' ? Buffer.byteLength(header) : 0)),
+      request_time: (elapsed / 1000).toFixed(3),
+      upstream_addr: ctx.upstreamLog.map(u => u.addr).join(', '),
+      upstream_status: ctx.upstreamLog.map(u => u.status).join(', '),
+      upstream_response_time: ctx.upstreamLog.map(u => (u.time / 1000).toFixed(3)).join(', ')
+    });
+
+    for (const log of (entry.loc ? entry.loc.accessLogs : cfg.accessLogs) || []) {
+      if (log.condition) {
+        const flag = expandNginxVariables(log.condition, ctx);
+        if (flag === '' || flag === '0') continue;
+      }
+      const line = expandNginxVariables(log.format.template, ctx, value => escapeLogValue(value, log.format.escape));
+      getAccessLogStream(log.path, output).write(line + '\n');
+    }
+
+    if (getRequestLogFormat() === 'json') {
+      output.appendLine(JSON.stringify({
+        time: formatLogTime(new Date(), 'iso8601'),
+        remote_addr: getNginxVariable('remote_addr', ctx),
+        method: req.method,
+        uri: req.url,
+        host: req.headers.host || '',
+        server: cfg.label,
+        location: entry.loc?.matcher ?? null,
+        status,
+        bytes: entry.bodyBytes,
+        upstream: ctx.vars.upstream_addr || null,
+        upstream_status: ctx.vars.upstream_status || null,
+        duration_ms: elapsed
+      }));
+    }
+  } catch (e) {
+    output.appendLine(`[错误] 写入访问日志失败: ${e.message}`);
+  }
+  recordInspectorRequest(entry, cfg, req, res, Date.now() - entry.startedAt);
+}
+
+/**
+ * @description 请求检查器最多保留的请求数，超出后丢弃最早的记录
+ */
+const INSPECTOR_MAX_ENTRIES = 500;
+
+/**
+ * @description 请求检查器为请求体与响应体各保留的预览字节数
+ */
+const INSPECTOR_BODY_LIMIT = 32 * 1024;
+
+/**
+ * @description 把 Node 的 rawHeaders 或 getHeaders() 结果统一为 [{ name, value }] 列表
+ * @param {string[] | Object<string, any>} headers 头部
+ * @returns {{ name: string, value: string }[]}
+ */
+function toHeaderList(headers) {
+  if (Array.isArray(headers)) {
+    const list = [];
+    for (let i = 0; i + 1 < headers.length; i += 2) list.push({ name: headers[i], value: headers[i + 1] });
+    return list;
+  }
+  return Object.entries(headers || {}).flatMap(([name, value]) => (Array.isArray(value) ? value : [value])
+    .filter(v => v !== undefined)
+    .map(v => ({ name, value: String(v) })));
+}
+
+/**
+ * @description 获取实际发出的响应头
+ * @param {{ headHeaders: object | null }} entry 请求记录
+ * @param {http.ServerResponse} res
+ * @returns {{ name: string, value: string }[]}
+ */
+function getSentHeaders(entry, res) {
+  const headers = toHeaderList(res.getHeaders());
+  return headers.length || !entry.headHeaders ? headers : toHeaderList(entry.headHeaders);
+}
+
+/**
+ * @description 面板打开期间记录已完成的请求供请求检查器展示，并合并推送新记录
+ * @param {{ startedAt: number, ctx: object | null, loc: object | null, bodyBytes: number, bodyPreview: Buffer[], target: string, headHeaders: object | null }} entry trackRequest 返回的记录
+ * @param {object} cfg 处理该请求的 server 块配置
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {number} elapsed 耗时（毫秒）
+ */
+function recordInspectorRequest(entry, cfg, req, res, elapsed) {
+  // 面板未打开时不记录，避免无人查看时一直占用内存
+  if (!inspectorPanel) return;
+  const ctx = entry.ctx;
+  const socket = /** @type {any} */ (req.socket) || {};
+  const scheme = socket.encrypted ? 'https' : 'http';
+  const requestBody = ctx?.requestBody || null;
+  const record = {
+    id: ++inspectorSeq,
+    startedAt: entry.startedAt,
+    method: req.method,
+    url: `${scheme}://${req.headers.host || 'localhost'}${req.url}`,
+    httpVersion: `HTTP/${req.httpVersion}`,
+    remoteAddr: String(socket.remoteAddress || '').replace(/^::ffff:/, ''),
+    status: res.headersSent ? res.statusCode : 499,
+    server: cfg.label,
+    location: entry.loc ? formatLocationMatcher(entry.loc) : '',
+    target: ctx?.proxyTarget || entry.target || '',
+    upstream: ctx ? ctx.upstreamLog.map(u => u.addr).join(', ') : '',
+    duration: elapsed,
+    size: entry.bodyBytes,
+    requestHeaders: toHeaderList(req.rawHeaders),
+    responseHeaders: res.headersSent ? getSentHeaders(entry, res) : [],
+    // 复制一份预览，不引用完整缓冲的请求体
+    requestBody: requestBody ? Buffer.from(requestBody.subarray(0, INSPECTOR_BODY_LIMIT)) : null,
+    requestBodySize: requestBody ? requestBody.length : 0,
+    responseBody: Buffer.concat(entry.bodyPreview)
+  };
+  inspectorRequests.push(record);
+  if (inspectorRequests.length > INSPECTOR_MAX_ENTRIES) inspectorRequests.splice(0, inspectorRequests.length - INSPECTOR_MAX_ENTRIES);
+  inspectorPending.push(record);
+  // 页面一次加载上百个资源时合并成一条消息推送
+  if (!inspectorFlushTimer) {
+    inspectorFlushTimer = setTimeout(() => {
+      inspectorFlushTimer = undefined;
+      const rows = inspectorPending.map(summarizeInspectorRequest);
+      inspectorPending = [];
+      if (inspectorPanel) inspectorPanel.webview.postMessage({ type: 'add', rows, max: INSPECTOR_MAX_ENTRIES });
+    }, 100);
+  }
+}
+
+/**
+ * @description 请求列表中一行所需的字段
+ * @param {object} record 请求记录
+ * @returns {object}
+ */
+function summarizeInspectorRequest(record) {
+  const { id, startedAt, method, url, status, server, location, target, duration, size } = record;
+  return { id, startedAt, method, url, status, server, location, target, duration, size };
+}
+
+/**
+ * @description 获取头部的值（不区分大小写）
+ * @param {{ name: string, value: string }[]} headers 头部列表
+ * @param {string} name 头部名称
+ * @returns {string}
+ */
+function findHeader(headers, name) {
+  const lower = name.toLowerCase();
+  return headers.find(h => h.name.toLowerCase() === lower)?.value || '';
+}
+
+/**
+ * @description 按 Content-Encoding 解压消息体；只截取了开头时尽量解出已有部分，无法解压时原样返回
+ * @param {Buffer} body 消息体
+ * @param {string} encoding Content-Encoding
+ * @returns {Buffer}
+ */
+function decompressBody(body, encoding) {
+  try {
+    const flush = { finishFlush: zlib.constants.Z_SYNC_FLUSH };
+    if (encoding === 'gzip') return zlib.gunzipSync(body, flush);
+    if (encoding === 'deflate') return zlib.inflateSync(body, flush);
+    if (encoding === 'br') return zlib.brotliDecompressSync(body, { finishFlush: zlib.constants.BROTLI_OPERATION_FLUSH });
+  } catch {
+    // 无法解压时按原始字节处理
+  }
+  return body;
+}
+
+/**
+ * @description 解码预览用的消息体：按 Content-Encoding 解压，文本类型转为字符串
+ * @param {Buffer | null} body 消息体（可能被截断）
+ * @param {{ name: string, value: string }[]} headers 对应的头部
+ * @returns {{ text: string, binary: boolean, encoding: string }}
+ */
+function decodeInspectorBody(body, headers) {
+  if (!body || !body.length) return { text: '', binary: false, encoding: '' };
+  const encoding = findHeader(headers, 'content-encoding').toLowerCase();
+  const data = decompressBody(body, encoding);
+  const type = findHeader(headers, 'content-type').toLowerCase();
+  const textual = /^text\/|json|xml|javascript|x-www-form-urlencoded|svg|graphql/.test(type) || (!type && !data.includes(0));
+  return textual
+    ? { text: data.toString('utf8'), binary: false, encoding }
+    : { text: data.toString('base64'), binary: true, encoding };
+}
+
+/**
+ * @description 生成可以在终端重放该请求的 curl 命令；请求体超过预览上限时不包含请求体
+ * @param {object} record 请求记录
+ * @returns {string}
+ */
+function buildCurlCommand(record) {
+  const quote = value => `'${String(value).replace(/'/g, `'\\''`)}'`;
+  const parts = ['curl', quote(record.url)];
+  if (record.method !== 'GET') parts.push('-X', record.method);
+  // 由 curl 自行生成或与连接相关的头部不需要带上
+  const skipped = new Set(['host', 'content-length', 'connection', 'transfer-encoding', 'accept-encoding']);
+  for (const h of record.requestHeaders) {
+    if (!skipped.has(h.name.toLowerCase())) parts.push('-H', quote(`${h.name}: ${h.value}`));
+  }
+  if (findHeader(record.requestHeaders, 'accept-encoding')) parts.push('--compressed');
+  if (!record.requestBody?.length || record.requestBodySize > record.requestBody.length) return parts.join(' ');
+  // 压缩或二进制的请求体按原始字节经 base64 解码后从标准输入传给 curl
+  const body = decodeInspectorBody(record.requestBody, record.requestHeaders);
+  if (!body.binary && !body.encoding) return [...parts, '--data-binary', quote(body.text)].join(' ');
+  return `printf %s ${quote(record.requestBody.toString('base64'))} | base64 -d | ${[...parts, '--data-binary', '@-'].join(' ')}`;
+}
+
+/**
+ * @description 按 HAR 1.2 格式导出请求记录
+ * @param {object[]} records 请求记录
+ * @returns {object}
+ */
+function buildHar(records) {
+  const extension = vscode.extensions.getExtension('tony-wei-devops.node-http-nginx');
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'node-http-nginx', version: extension?.packageJSON?.version || '' },
+      entries: records.map(record => {
+        const url = new URL(record.url);
+        const requestBody = decodeInspectorBody(record.requestBody, record.requestHeaders);
+        const responseBody = decodeInspectorBody(record.responseBody, record.responseHeaders);
+        const request = {
+          method: record.method,
+          url: record.url,
+          httpVersion: record.httpVersion,
+          cookies: [],
+          headers: record.requestHeaders,
+          queryString: Array.from(url.searchParams, ([name, value]) => ({ name, value })),
+          headersSize: -1,
+          bodySize: record.requestBodySize
+        };
+        if (record.requestBody?.length) {
+          request.postData = { mimeType: findHeader(record.requestHeaders, 'content-type'), text: requestBody.text };
+        }
+        return {
+          startedDateTime: new Date(record.startedAt).toISOString(),
+          time: record.duration,
+          request,
+          response: {
+            status: record.status,
+            statusText: http.STATUS_CODES[record.status] || '',
+            httpVersion: record.httpVersion,
+            cookies: [],
+            headers: record.responseHeaders,
+            content: {
+              size: record.size,
+              mimeType: findHeader(record.responseHeaders, 'content-type'),
+              text: responseBody.text,
+              ...(responseBody.binary ? { encoding: 'base64' } : {}),
+              ...(record.responseBody.length < record.size ? { comment: `仅包含前 ${record.responseBody.length} 字节` } : {})
+            },
+            redirectURL: findHeader(record.responseHeaders, 'location'),
+            headersSize: -1,
+            bodySize: record.size
+          },
+          cache: {},
+          timings: { send: 0, wait: record.duration, receive: 0 },
+          _server: record.server,
+          _location: record.location,
+          _target: record.target
+        };
+      })
+    }
+  };
+}
+
+/**
+ * @description 打开请求检查器面板：列出模拟服务处理过的请求，支持筛选、查看头部与消息体、复制为 curl、导出 HAR
+ * @param {vscode.ExtensionContext} context 插件上下文
+ */
+function openInspector(context) {
+  if (inspectorPanel) {
+    inspectorPanel.reveal();
+    return;
+  }
+  inspectorPanel = vscode.window.createWebviewPanel('nodeHttpNginx.inspector', 'Nginx 请求检查器', vscode.ViewColumn.Beside, {
+    enableScripts: true,
+    retainContextWhenHidden: true
+  });
+  const panel = inspectorPanel;
+  panel.webview.html = getInspectorHtml(panel.webview);
+  panel.onDidDispose(() => {
+    if (inspectorPanel === panel) inspectorPanel = undefined;
+    inspectorPending = [];
+  }, null, context.subscriptions);
+  panel.webview.onDidReceiveMessage(async (msg) => {
+    const record = inspectorRequests.find(r => r.id === msg?.id);
+    switch (msg?.type) {
+      case 'ready':
+        panel.webview.postMessage({ type: 'init', rows: inspectorRequests.map(summarizeInspectorRequest), max: INSPECTOR_MAX_ENTRIES });
+        break;
+      case 'select':
+        if (!record) return;
+        panel.webview.postMessage({
+          type: 'detail',
+          id: record.id,
+          requestHeaders: record.requestHeaders,
+          responseHeaders: record.responseHeaders,
+          upstream: record.upstream,
+          requestBody: decodeInspectorBody(record.requestBody, record.requestHeaders),
+          requestBodySize: record.requestBodySize,
+          responseBody: decodeInspectorBody(record.responseBody, record.responseHeaders),
+          responseBodySize: record.size,
+          limit: INSPECTOR_BODY_LIMIT
+        });
+        break;
+      case 'copyCurl':
+        if (!record) return;
+        await vscode.env.clipboard.writeText(buildCurlCommand(record));
+        if (record.requestBodySize > (record.requestBody?.length || 0)) {
+          vscode.window.showWarningMessage(`已复制为 curl 命令，但请求体（${record.requestBodySize} 字节）超过 ${INSPECTOR_BODY_LIMIT / 1024} KB 的预览上限，命令中不包含请求体。`);
+        } else {
+          vscode.window.showInformationMessage('已复制为 curl 命令。');
+        }
+        break;
+      case 'exportHar': {
+        const ids = new Set(Array.isArray(msg.ids) ? msg.ids : []);
+        const records = inspectorRequests.filter(r => ids.has(r.id));
+        if (!records.length) {
+          vscode.window.showWarningMessage('没有可导出的请求。');
+          return;
+        }
+        const root = getWorkspaceRoot();
+        const uri = await vscode.window.showSaveDialog({
+          defaultUri: root ? vscode.Uri.file(path.join(root, 'requests.har')) : undefined,
+          filters: { HAR: ['har'] }
+        });
+        if (!uri) return;
+        try {
+          await fs.promises.writeFile(uri.fsPath, JSON.stringify(buildHar(records), null, 2));
+          vscode.window.showInformationMessage(`已导出 ${records.length} 个请求: ${uri.fsPath}`);
+        } catch (e) {
+          vscode.window.showErrorMessage(`导出 HAR 失败: ${e.message}`);
+        }
+        break;
+      }
+      case 'clear':
+        inspectorRequests = [];
+        inspectorPending = [];
+        break;
+      default:
+        break;
+    }
+  }, null, context.subscriptions);
+}
+
+/**
+ * @description 请求检查器的页面；数据只通过 textContent 写入，避免请求内容被当作 HTML 执行
+ * @param {vscode.Webview} webview
+ * @returns {string}
+ */
+function getInspectorHtml(webview) {
+  const nonce = crypto.randomBytes(16).toString('base64');
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${webview.cspSource} 'unsafe-inline'; script-src 'nonce-${nonce}';">
+<style>
+  body { margin: 0; padding: 0; font-family: var(--vscode-font-family); font-size: var(--vscode-font-size); color: var(--vscode-foreground); display: flex; flex-direction: column; height: 100vh; }
+  .toolbar { display: flex; gap: 6px; padding: 6px; border-bottom: 1px solid var(--vscode-panel-border); align-items: center; }
+  .toolbar input, .toolbar select { background: var(--vscode-input-background); color: var(--vscode-input-foreground); border: 1px solid var(--vscode-input-border, transparent); padding: 2px 4px; }
+  .toolbar input { flex: 1; }
+  button { background: var(--vscode-button-background); color: var(--vscode-button-foreground); border: none; padding: 3px 8px; cursor: pointer; }
+  button:disabled { opacity: 0.5; cursor: default; }
+  .list { flex: 1; overflow: auto; min-height: 80px; }
+  table { width: 100%; border-collapse: collapse; table-layout: fixed; }
+  th, td { text-align: left; padding: 2px 6px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+  th { position: sticky; top: 0; background: var(--vscode-editor-background); border-bottom: 1px solid var(--vscode-panel-border); }
+  tr.row { cursor: pointer; }
+  tr.row:hover { background: var(--vscode-list-hoverBackground); }
+  tr.row.selected { background: var(--vscode-list-activeSelectionBackground); color: var(--vscode-list-activeSelectionForeground); }
+  .s3 { color: var(--vscode-charts-blue); } .s4 { color: var(--vscode-charts-yellow); } .s5 { color: var(--vscode-charts-red); }
+  .detail { flex: 1; overflow: auto; border-top: 1px solid var(--vscode-panel-border); padding: 6px; display: none; }
+  .detail h4 { margin: 8px 0 4px; }
+  .detail pre { margin: 0; white-space: pre-wrap; word-break: break-all; font-family: var(--vscode-editor-font-family); }
+  .muted { opacity: 0.7; }
+</style>
+</head>
+<body>
+<div class="toolbar">
+  <select id="status">
+    <option value="">全部状态</option><option value="2">2xx</option><option value="3">3xx</option><option value="4">4xx</option><option value="5">5xx</option>
+  </select>
+  <select id="location"><option value="">全部 location</option></select>
+  <input id="text" type="search" placeholder="按 URL、目标或 server 筛选">
+  <button id="curl" disabled>复制为 curl</button>
+  <button id="har">导出 HAR</button>
+  <button id="clear">清空</button>
+  <span id="count" class="muted"></span>
+</div>
+<div class="list">
+  <table>
+    <colgroup><col style="width:60px"><col><col style="width:50px"><col style="width:14%"><col style="width:28%"><col style="width:60px"><col style="width:70px"></colgroup>
+    <thead><tr><th>方法</th><th>URL</th><th>状态</th><th>location</th><th>目标</th><th>耗时</th><th>大小</th></tr></thead>
+    <tbody id="rows"></tbody>
+  </table>
+</div>
+<div class="detail" id="detail"></div>
+<script nonce="${nonce}">
+  const vscode = acquireVsCodeApi();
+  let rows = [];
+  let max = 500;
+  let selected = null;
+  const $ = id => document.getElementById(id);
+
+  function formatSize(n) {
+    if (n < 1024) return n + ' B';
+    if (n < 1024 * 1024) return (n / 1024).toFixed(1) + ' KB';
+    return (n / 1024 / 1024).toFixed(1) + ' MB';
+  }
+  function matches(r) {
+    const status = $('status').value;
+    const location = $('location').value;
+    const text = $('text').value.trim().toLowerCase();
+    if (status && String(r.status)[0] !== status) return false;
+    if (location && r.location !== location) return false;
+    if (text && ![r.url, r.target, r.server, r.method].some(v => String(v).toLowerCase().includes(text))) return false;
+    return true;
+  }
+  function visible() {
+    return rows.filter(matches);
+  }
+  function cell(tr, text, cls) {
+    const td = document.createElement('td');
+    td.textContent = text;
+    td.title = text;
+    if (cls) td.className = cls;
+    tr.appendChild(td);
+  }
+  function render() {
+    const body = $('rows');
+    body.textContent = '';
+    const list = visible();
+    for (const r of list) {
+      const tr = document.createElement('tr');
+      tr.className = 'row' + (r.id === selected ? ' selected' : '');
+      cell(tr, r.method);
+      cell(tr, r.url);
+      cell(tr, String(r.status), r.status >= 300 ? 's' + String(r.status)[0] : '');
+      cell(tr, r.location || '(server)');
+      cell(tr, r.target);
+      cell(tr, r.duration + ' ms');
+      cell(tr, formatSize(r.size));
+      tr.addEventListener('click', () => select(r.id));
+      body.appendChild(tr);
+    }
+    $('count').textContent = list.length + ' / ' + rows.length;
+    $('curl').disabled = selected === null;
+    const locations = Array.from(new Set(rows.map(r => r.location))).sort();
+    const current = $('location').value;
+    const options = $('location');
+    options.textContent = '';
+    const all = document.createElement('option');
+    all.value = '';
+    all.textContent = '全部 location';
+    options.appendChild(all);
+    for (const l of locations) {
+      const o = document.createElement('option');
+      o.value = l;
+      o.textContent = l || '(server)';
+      options.appendChild(o);
+    }
+    options.value = locations.includes(current) ? current : '';
+  }
+  function select(id) {
+    selected = id;
+    render();
+    vscode.postMessage({ type: 'select', id });
+  }
+  function section(parent, title, text) {
+    const h = document.createElement('h4');
+    h.textContent = title;
+    parent.appendChild(h);
+    const pre = document.createElement('pre');
+    pre.textContent = text;
+    parent.appendChild(pre);
+  }
+  function describeBody(body, size, limit) {
+    if (!size) return '(空)';
+    const note = size > limit ? '\\n… 仅显示前 ' + formatSize(limit) + '，共 ' + formatSize(size) : '';
+    if (body.binary) return '(二进制内容，' + formatSize(size) + (body.encoding ? '，' + body.encoding : '') + ')';
+    return body.text + note;
+  }
+  function showDetail(d) {
+    const r = rows.find(x => x.id === d.id);
+    if (!r) return;
+    const el = $('detail');
+    el.style.display = 'block';
+    el.textContent = '';
+    const headers = list => list.map(h => h.name + ': ' + h.value).join('\\n') || '(无)';
+    section(el, '概要', [
+      r.method + ' ' + r.url + ' → ' + r.status,
+      'server: ' + r.server,
+      'location: ' + (r.location || '(server)'),
+      '目标: ' + (r.target || '-'),
+      d.upstream ? '上游地址: ' + d.upstream : '',
+      '耗时: ' + r.duration + ' ms，大小: ' + formatSize(r.size),
+      '时间: ' + new Date(r.startedAt).toLocaleString()
+    ].filter(Boolean).join('\\n'));
+    section(el, '请求头', headers(d.requestHeaders));
+    if (d.requestBodySize) section(el, '请求体', describeBody(d.requestBody, d.requestBodySize, d.limit));
+    section(el, '响应头', headers(d.responseHeaders));
+    section(el, '响应体预览', describeBody(d.responseBody, d.responseBodySize, d.limit));
+  }
+
+  window.addEventListener('message', event => {
+    const msg = event.data;
+    if (msg.type === 'init') {
+      rows = msg.rows;
+      max = msg.max;
+      render();
+    } else if (msg.type === 'add') {
+      rows = rows.concat(msg.rows);
+      max = msg.max;
+      if (rows.length > max) rows = rows.slice(rows.length - max);
+      render();
+    } else if (msg.type === 'detail' && msg.id === selected) {
+      showDetail(msg);
+    }
+  });
+  $('status').addEventListener('change', render);
+  $('location').addEventListener('change', render);
+  $('text').addEventListener('input', render);
+  $('curl').addEventListener('click', () => selected !== null && vscode.postMessage({ type: 'copyCurl', id: selected }));
+  $('har').addEventListener('click', () => vscode.postMessage({ type: 'exportHar', ids: visible().map(r => r.id) }));
+  $('clear').addEventListener('click', () => {
+    rows = [];
+    selected = null;
+    $('detail').style.display = 'none';
+    render();
+    vscode.postMessage({ type: 'clear' });
+  });
+  vscode.postMessage({ type: 'ready' });
+</script>
+</body>
+</html>`;
+}
+
+/**
+ * @description 处理单个 HTTP 请求：匹配 location 后代理或返回静态文件
+ * @param {object} cfg 处理该请求的 server 块配置
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {vscode.OutputChannel} output 输出通道
+ */
+async function handleNodeRequest(cfg, req, res, output) {
+  const entry = trackRequest(cfg, req, res, output);
+  // JSON 模式下请求摘要在响应结束时统一输出，这里不再逐行打印匹配过程
+  const trace = getRequestLogFormat() === 'json' ? () => {} : line => output.appendLine(line);
+  try {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const ctx = createRequestContext(req, url, cfg);
+    entry.ctx = ctx;
+    responseContexts.set(res, ctx);
+    await serveNodeRequest(ctx, res, entry, output, trace);
+  } catch (err) {
+    output.appendLine(`[错误] 处理请求失败: ${err.message}`);
+    if (!res.headersSent) {
+      writeResponseHead(res, 500, {}, (entry.loc || cfg).addHeaders);
+    }
+    res.end('500 Internal Server Error');
+  }
+}
+
+/**
+ * @description 按请求上下文中当前的 URI 选择 location 并生成响应；error_page 内部重定向时会再次进入
+ * @param {object} ctx 请求上下文
+ * @param {http.ServerResponse} res
+ * @param {object} entry trackRequest 返回的记录，用于请求检查器
+ * @param {vscode.OutputChannel} output 输出通道
+ * @param {(line: string) => void} trace 输出匹配过程
+ */
+async function serveNodeRequest(ctx, res, entry, output, trace) {
+  const { cfg, req } = ctx;
+  const { loc, result, error, denied } = await resolveRequestLocation(cfg, ctx, undefined, l => checkAuthBasic(ctx, l, output));
+  entry.loc = loc;
+  const addHeaders = loc ? loc.addHeaders : cfg.addHeaders;
+  const pathname = ctx.uri;
+  const fail = (code, text) => sendNodeError(ctx, res, entry, output, trace, loc, code, text);
+
+  if (ctx.errorPage) {
+    trace(`  - error_page ${pathname} 匹配: ${loc?.matcher || 'default'}`);
+  } else {
+    trace(`[请求] ${req.method} ${ctx.url.pathname} -> server: ${cfg.label} 匹配: ${loc?.matcher || 'default'}`);
+  }
+  if (ctx.uriChanged) trace(`  - rewrite: ${pathname}${ctx.args ? `?${ctx.args}` : ''}`);
+
+  if (error) {
+    output.appendLine(`[错误] ${error}: ${req.url}`);
+    await fail(500, '500 Internal Server Error');
+    return;
+  }
+
+  if (denied) {
+    trace(`  - auth_basic: ${denied.code}`);
+    entry.target = `auth_basic ${denied.code}`;
+    if (denied.challenge) res.setHeader('WWW-Authenticate', denied.challenge);
+    await fail(denied.code, denied.code === 401 ? '401 Authorization Required' : '500 Internal Server Error');
+    return;
+  }
+
+  // 处理 return / rewrite 重定向；只有状态码、没有文本的 return（含 try_files =code）适用 error_page
+  if (result) {
+    entry.target = `return ${result.code}${result.text ? ` ${result.text}` : ''}`;
+    if (result.text === undefined && findErrorPage(loc, ctx, result.code)) {
+      await fail(result.code);
+      return;
+    }
+    sendReturnResponse(res, result, ctx, addHeaders);
+    return;
+  }
+
+  if (loc) {
+    if (loc.alias) trace(`  - alias: ${loc.alias}`);
+    if (loc.root) trace(`  - root: ${loc.root}`);
+  }
+
+  // 处理代理
+  if (loc?.proxyPass) {
+    await proxyRequest(req, res, resolveProxyTarget(loc, ctx), output, loc, ctx, fail);
+    return;
+  }
+
+  // 处理静态文件
+  const filePath = mapUriToPath(loc, cfg, ctx, pathname);
+  if (!filePath) {
+    await fail(403, '403 Forbidden');
+    return;
+  }
+
+  // 尝试寻找文件
+  let targetPath = filePath;
+  entry.target = targetPath;
+  trace(`  - 尝试访问路径: ${targetPath}`);
+  let stats;
+  try {
+    stats = await fs.promises.stat(targetPath);
+  } catch {
+    await fail(404, '404 Not Found');
+    return;
+  }
+
+  if (stats.isDirectory()) {
+    // 与 nginx 一致：目录 URI 缺少结尾的 / 时先重定向到带 / 的形式
+    if (!pathname.endsWith('/')) {
+      const location = encodeURI(`${pathname}/`) + (ctx.args ? `?${ctx.args}` : '');
+      trace(`  - 目录缺少结尾的 /，301 到 ${location}`);
+      entry.target = `return 301 ${location}`;
+      sendReturnResponse(res, { code: 301, text: location }, ctx, addHeaders);
+      return;
+    }
+
+    // 尝试 index 文件
+    let foundIndex = false;
+    for (const idxName of (loc ? loc.index : cfg.serverIndex)) {
+      const idxPath = path.join(targetPath, idxName);
+      try {
+        const idxStats = await fs.promises.stat(idxPath);
+        if (idxStats.isFile()) {
+          targetPath = idxPath;
+          stats = idxStats;
+          foundIndex = true;
+          trace(`  - 找到 index 文件: ${targetPath}`);
+          break;
+        }
+      } catch {}
+    }
+
+    const autoindex = (loc || cfg).autoindex;
+    if (!foundIndex && autoindex.enabled) {
+      trace(`  - autoindex (${autoindex.format}): ${targetPath}`);
+      await sendAutoindex(req, res, targetPath, ctx, autoindex, addHeaders);
+      return;
+    }
 
-  refresh() {
-    this._onDidChangeTreeData.fire();
+    if (!foundIndex) {
+      await fail(404, '404 Not Found (Directory index not found)');
+      return;
+    }
   }
 
-  getTreeItem(element) {
-    return element;
+  // 读取并返回文件
+  const ext = path.extname(targetPath).toLowerCase();
+  const contentType = cfg.mimeTypes?.[ext] || MIME_TYPES[ext] || cfg.defaultType || 'application/octet-stream';
+  entry.target = targetPath;
+  await sendStaticFile(req, res, targetPath, stats, contentType, loc || cfg, addHeaders, output);
+}
+
+/**
+ * @description 查找错误码对应的 error_page；与 nginx 的 recursive_error_pages off 一致，返回错误页面的过程中不再查找
+ * @param {object | null} loc 当前的 location 配置
+ * @param {object} ctx 请求上下文
+ * @param {number} code 状态码
+ * @returns {{ uri: string, status: number | null, useResponseStatus: boolean } | null}
+ */
+function findErrorPage(loc, ctx, code) {
+  if (ctx.errorPage) return null;
+  return (loc || ctx.cfg).errorPages.get(code) || null;
+}
+
+/**
+ * @description 返回错误状态：配置了 error_page 时内部重定向到错误页面 URI 或命名 location，
+ * 错误页面是完整 URL（或指定了 =301 等重定向状态码）时返回重定向；否则输出默认的纯文本内容
+ * @param {object} ctx 请求上下文
+ * @param {http.ServerResponse} res
+ * @param {object} entry trackRequest 返回的记录
+ * @param {vscode.OutputChannel} output 输出通道
+ * @param {(line: string) => void} trace 输出匹配过程
+ * @param {object | null} loc 产生错误的 location 配置
+ * @param {number} code 状态码
+ * @param {string} [text] 没有 error_page 时的响应内容
+ */
+async function sendNodeError(ctx, res, entry, output, trace, loc, code, text) {
+  const addHeaders = (loc || ctx.cfg).addHeaders;
+  const page = findErrorPage(loc, ctx, code);
+  if (!page) {
+    writeResponseHead(res, code, {}, addHeaders);
+    res.end(text ?? `${code} ${http.STATUS_CODES[code] || ''}`);
+    return;
   }
 
-  async getChildren(element) {
-    if (!element) {
-      const resolvedNodeConfig = await resolveNodeConfigPath();
-      const status = nodeHttpServer ? '运行中' : '已停止';
-      const items = [
-        { 
-          label: `服务状态: ${status}`, 
-          icon: nodeHttpServer 
-            ? new vscode.ThemeIcon('zap', new vscode.ThemeColor('charts.green')) 
-            : new vscode.ThemeIcon('debug-stop', new vscode.ThemeColor('charts.red')) 
-        },
-        resolvedNodeConfig 
-        ? { label: '编辑配置文件', command: 'nodeHttpNginx.openFile', arguments: [resolvedNodeConfig], icon: new vscode.ThemeIcon('edit') }
-        : { label: '配置 nginx.conf', command: 'nodeHttpNginx.selectNodeConfig', icon: new vscode.ThemeIcon('file-add') },
-        { label: '启动服务', command: 'nodeHttpNginx.nodeStart', icon: new vscode.ThemeIcon('play', new vscode.ThemeColor('charts.green')) },
-        { label: '停止服务', command: 'nodeHttpNginx.nodeStop', icon: new vscode.ThemeIcon('primitive-square', new vscode.ThemeColor('charts.red')) },
-        { label: '重启服务', command: 'nodeHttpNginx.nodeRestart', icon: new vscode.ThemeIcon('refresh', new vscode.ThemeColor('charts.blue')) },
-        { label: '插件设置', command: 'nodeHttpNginx.openSettings', icon: new vscode.ThemeIcon('settings-gear') }
-      ];
-      return items.map(it => {
-        const node = new NginxItem(it.label, vscode.TreeItemCollapsibleState.None, { command: it.command });
-        if (it.command) {
-          node.command = { command: it.command, title: it.label, arguments: it.arguments };
-        }
-        if (it.icon) node.iconPath = it.icon;
-        return node;
-      });
+  ctx.errorPage = true;
+  const uri = expandNginxVariables(page.uri, ctx);
+  const redirect = [301, 302, 303, 307, 308].includes(page.status);
+  trace(`  - error_page ${code}${page.status ? ` =${page.status}` : page.useResponseStatus ? ' =' : ''} ${uri}`);
+  if (uri.startsWith('@')) {
+    const named = ctx.cfg.locations.find(l => l.kind === 'named' && l.matcher === uri);
+    if (!named) {
+      output.appendLine(`[错误] 未找到命名 location: ${uri}`);
+      writeResponseHead(res, 500, {}, addHeaders);
+      res.end('500 Internal Server Error');
+      return;
     }
-    return [];
+    ctx.namedLocation = named;
+  } else if (uri.startsWith('/') && !redirect) {
+    const q = uri.indexOf('?');
+    ctx.uri = q === -1 ? uri : uri.slice(0, q);
+    ctx.args = q === -1 ? '' : uri.slice(q + 1);
+    ctx.uriChanged = true;
+    // 与 nginx 一致：错误页面以 GET 请求（HEAD 保持不变）
+    if (ctx.req.method !== 'HEAD') ctx.method = 'GET';
+  } else {
+    entry.target = `error_page ${code} ${uri}`;
+    sendReturnResponse(res, { code: redirect ? page.status : 302, text: uri }, ctx, addHeaders);
+    return;
   }
+
+  if (!page.useResponseStatus) errorPageStatus.set(res, page.status || code);
+  await serveNodeRequest(ctx, res, entry, output, trace);
 }
 
 /**
- * @description 在 VS Code 中打开文件
- * @param {string} filePath 文件绝对路径
+ * @description 单次 htpasswd 校验（含排队）的最长时间；bcrypt 代价为 17 时校验需要数十秒，超时后重启校验线程
  */
-async function openFile(filePath) {
-  const p = String(filePath || '').trim();
-  if (!p) return;
+const HTPASSWD_VERIFY_TIMEOUT = 60 * 1000;
+
+/**
+ * @description 停止 htpasswd 校验线程，并以 err 拒绝所有等待中的校验
+ * @param {Error} err 拒绝原因
+ */
+function stopHtpasswdWorker(err) {
+  if (htpasswdWorker) htpasswdWorker.terminate();
+  htpasswdWorker = null;
+  for (const { reject, timer } of htpasswdRequests.values()) {
+    clearTimeout(timer);
+    reject(err);
+  }
+  htpasswdRequests.clear();
+}
+
+/**
+ * @description 在 worker 线程中校验 htpasswd 密码，bcrypt 等较慢的算法不会阻塞扩展主机
+ * @param {string} password 明文密码
+ * @param {string} stored htpasswd 中保存的值
+ * @returns {Promise<boolean | null>} 格式不受支持时为 null
+ */
+function verifyHtpasswdInWorker(password, stored) {
+  if (!htpasswdWorker) {
+    const worker = new Worker(path.join(__dirname, 'htpasswd.js'));
+    const onFailure = err => {
+      if (htpasswdWorker === worker) stopHtpasswdWorker(err);
+    };
+    worker.on('message', ({ id, result }) => {
+      const pending = htpasswdRequests.get(id);
+      if (!pending) return;
+      htpasswdRequests.delete(id);
+      clearTimeout(pending.timer);
+      pending.resolve(result);
+    });
+    worker.on('error', onFailure);
+    worker.on('exit', code => onFailure(new Error(`htpasswd 校验线程已退出 (${code})`)));
+    worker.unref();
+    htpasswdWorker = worker;
+  }
+  const id = ++htpasswdRequestId;
+  const worker = htpasswdWorker;
+  return new Promise((resolve, reject) => {
+    // 校验线程一次只处理一个请求，超时后重启，避免后续认证一直排队
+    const timer = setTimeout(() => {
+      stopHtpasswdWorker(new Error(`校验超过 ${HTPASSWD_VERIFY_TIMEOUT / 1000} 秒，已重启校验线程`));
+    }, HTPASSWD_VERIFY_TIMEOUT);
+    htpasswdRequests.set(id, { resolve, reject, timer });
+    worker.postMessage({ id, password, stored });
+  });
+}
+
+/**
+ * @description 读取 htpasswd 文件（user:hash[:注释]，# 开头为注释），按修改时间缓存
+ * @param {string} file 文件路径
+ * @returns {Promise<Map<string, string>>}
+ */
+async function loadHtpasswd(file) {
+  const stats = await fs.promises.stat(file);
+  const cached = htpasswdCache.get(file);
+  if (cached && cached.mtimeMs === stats.mtimeMs) return cached.users;
+  const users = new Map();
+  for (const line of (await fs.promises.readFile(file, 'utf8')).split(/\r?\n/)) {
+    if (!line.trim() || line.trimStart().startsWith('#')) continue;
+    const colon = line.indexOf(':');
+    if (colon === -1) continue;
+    const rest = line.slice(colon + 1);
+    // {SHA} 等 base64 值中不含冒号，冒号之后的内容是注释
+    users.set(line.slice(0, colon), rest.split(':')[0]);
+  }
+  htpasswdCache.set(file, { mtimeMs: stats.mtimeMs, users });
+  return users;
+}
+
+/**
+ * @description 按 auth_basic 校验请求的 Authorization 头；未启用、缺少 auth_basic_user_file 或校验通过时返回 null
+ * @param {object} ctx 请求上下文
+ * @param {object | null} loc 匹配到的 location 配置
+ * @param {vscode.OutputChannel} output 输出通道
+ * @returns {Promise<{ code: number, challenge?: string } | null>}
+ */
+async function checkAuthBasic(ctx, loc, output) {
+  const auth = (loc || ctx.cfg).authBasic;
+  if (!auth.realm || !auth.userFile) return null;
+  const realm = expandNginxVariables(auth.realm, ctx);
+  const denied = { code: 401, challenge: `Basic realm="${realm.replace(/(["\\])/g, '\\$1')}"` };
+  const m = String(ctx.req.headers.authorization || '').match(/^Basic\s+([A-Za-z0-9+/]+=*)\s*$/i);
+  const decoded = m ? Buffer.from(m[1], 'base64').toString('utf8') : '';
+  if (!decoded.includes(':')) return denied;
+  const user = decoded.slice(0, decoded.indexOf(':'));
+  const password = decoded.slice(decoded.indexOf(':') + 1);
+
+  let users;
   try {
-    const doc = await vscode.workspace.openTextDocument(vscode.Uri.file(p));
-    await vscode.window.showTextDocument(doc, { preview: false });
+    users = await loadHtpasswd(auth.userFile);
   } catch (e) {
-    vscode.window.showErrorMessage(`无法打开文件: ${e.message}`);
+    output.appendLine(`[错误] 无法读取 auth_basic_user_file ${auth.userFile}: ${e.message}`);
+    return { code: 500 };
+  }
+  const stored = users.get(user);
+  if (stored === undefined) {
+    output.appendLine(`[认证] 用户 "${user}" 不在 ${auth.userFile} 中`);
+    return denied;
+  }
+  // bcrypt 等算法较慢，浏览器每个请求都会带上凭据，校验通过的结果按摘要缓存
+  const cacheKey = crypto.createHash('sha256').update(`${stored}\0${password}`).digest('base64');
+  if (authBasicVerified.has(cacheKey)) return null;
+  let verified;
+  try {
+    verified = await verifyHtpasswdInWorker(password, stored);
+  } catch (e) {
+    output.appendLine(`[错误] 校验用户 "${user}" 的密码失败: ${e.message}`);
+    return { code: 500 };
+  }
+  if (verified === null) {
+    output.appendLine(`[错误] 用户 "${user}" 的密码格式不受支持或代价超出上限: ${auth.userFile}`);
+    return { code: 500 };
+  }
+  if (!verified) {
+    output.appendLine(`[认证] 用户 "${user}" 密码错误`);
+    return denied;
   }
+  if (authBasicVerified.size >= 1000) authBasicVerified.clear();
+  authBasicVerified.add(cacheKey);
+  return null;
 }
 
 /**
- * @description 核心逻辑：启动 Node HTTP 模拟服务
- * @param {vscode.ExtensionContext} context 插件上下文
+ * @description 处理 Upgrade 请求：按普通请求的规则选择 location，只有 proxy_pass 的 location 才能升级
+ * @param {object} cfg 处理该请求的 server 块配置
+ * @param {http.IncomingMessage} req
+ * @param {import('stream').Duplex} socket
+ * @param {Buffer} head
+ * @param {vscode.OutputChannel} output 输出通道
  */
-async function nodeStart(context) {
+async function handleNodeUpgrade(cfg, req, socket, head, output) {
   try {
-    if (nodeHttpServer) {
-      vscode.window.showWarningMessage('Node Nginx 模拟服务已在运行。');
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const ctx = createRequestContext(req, url, cfg);
+    const { loc, result, error, denied } = await resolveRequestLocation(cfg, ctx, undefined, l => checkAuthBasic(ctx, l, output));
+    output.appendLine(`[升级] ${req.method} ${url.pathname} (${req.headers.upgrade}) -> server: ${cfg.label} 匹配: ${loc?.matcher || 'default'}`);
+
+    if (error) {
+      output.appendLine(`[错误] ${error}: ${req.url}`);
+      writeRawResponse(socket, 500);
       return;
     }
-
-    // 1. 寻找 nginx.conf
-    const configPath = await resolveNodeConfigPath();
-    if (!configPath) {
-      vscode.window.showErrorMessage('未找到 nginx.conf（请在工作区放置 nginx.conf，或通过设置指定路径）。');
+    // 与 sendReturnResponse 一致：444 直接关闭连接，重定向带上 Location
+    if (result?.code === 444) {
+      socket.destroy();
       return;
     }
-
-    // 2. 读取并解析配置
-    let text;
-    try {
-      text = await fs.promises.readFile(configPath, 'utf8');
-    } catch (e) {
-      vscode.window.showErrorMessage(`读取 nginx.conf 失败：${e?.message || String(e)}`);
+    if (result && [301, 302, 303, 307, 308].includes(result.code)) {
+      writeRawResponse(socket, result.code, undefined, [`Location: ${resolveReturnLocation(result.text, ctx)}`]);
       return;
     }
-
-    const tokens = tokenizeNginxConf(text);
-    const ast = parseNginxTokens(tokens);
-    const baseDir = resolveNodeBaseDir(configPath);
-    const cfg = buildNodeServerConfigFromAst(ast, configPath, baseDir);
-    if (!cfg) {
-      vscode.window.showErrorMessage('解析 nginx.conf 失败：未找到有效的 http/server 配置块。');
+    if (result) {
+      writeRawResponse(socket, result.code, result.text);
+      return;
+    }
+    if (denied) {
+      writeRawResponse(socket, denied.code, undefined, denied.challenge ? [`WWW-Authenticate: ${denied.challenge}`] : []);
+      return;
+    }
+    if (!loc?.proxyPass) {
+      output.appendLine('  - 该 location 没有 proxy_pass，无法升级连接');
+      writeRawResponse(socket, 400);
       return;
     }
+    proxyUpgrade(req, socket, head, resolveProxyTarget(loc, ctx), output, loc, ctx);
+  } catch (err) {
+    output.appendLine(`[错误] 处理升级请求失败: ${err.message}`);
+    writeRawResponse(socket, 500);
+  }
+}
+
+/**
+ * @description 读取并解析配置、整理监听地址并准备 HTTPS 证书；启动与热重载共用
+ * 任何一步失败都会提示错误并返回 null，调用方据此保持现状
+ * @param {vscode.ExtensionContext} context 插件上下文
+ * @param {string} action 输出面板中显示的动作（如“正在启动服务”）
+ * @returns {Promise<{ configPath: string, files: string[], cfg: object, listeners: object[], tlsByServer: Map<object, object> } | null>}
+ */
+async function prepareNodeConfig(context, action) {
+  // 1. 寻找 nginx.conf
+  const configPath = await resolveNodeConfigPath();
+  if (!configPath) {
+    vscode.window.showErrorMessage('未找到 nginx.conf（请在工作区放置 nginx.conf，或通过设置指定路径）。');
+    return null;
+  }
 
-    // 3. 准备启动参数
-    const overridePort = getNodeOverridePort();
-    const port = overridePort || cfg.listenPort || 80;
-    const host = getNodeHost();
+  // 2. 读取并解析配置（含 include 的文件）
+  let loaded;
+  try {
+    loaded = await loadNginxConfig(configPath);
+  } catch (e) {
+    vscode.window.showErrorMessage(`读取 nginx.conf 失败：${e?.message || String(e)}`);
+    return null;
+  }
+  // 语法错误会导致 AST 残缺，拒绝启动；问题已同时显示在编辑器的“问题”面板中
+  const syntaxErrors = loaded.problems.filter(p => p.severity === 'error');
+  if (syntaxErrors.length) {
     const output = ensureOutputChannel(context);
-    if (getShowOutput()) output.show(true);
+    for (const p of syntaxErrors) output.appendLine(`[错误] ${formatConfigProblem(p)}`);
+    vscode.window.showErrorMessage(`nginx.conf 存在语法错误：${formatConfigProblem(syntaxErrors[0])}`);
+    refreshConfigDiagnostics();
+    return null;
+  }
 
-    output.appendLine(`> [${new Date().toLocaleTimeString()}] 正在启动服务...`);
-    output.appendLine(`- 配置文件: ${configPath}`);
-    output.appendLine(`- 资源根目录: ${baseDir}`);
-    output.appendLine(`- 监听地址: http://${host}:${port}`);
+  const ast = loaded.ast;
+  const baseDir = resolveNodeBaseDir(configPath);
+  let cfg;
+  try {
+    cfg = buildNodeServerConfigFromAst(ast, configPath, baseDir);
+  } catch (e) {
+    vscode.window.showErrorMessage(`解析 nginx.conf 失败：${e.message}`);
+    return null;
+  }
+  if (!cfg || !cfg.listeners.length) {
+    vscode.window.showErrorMessage('解析 nginx.conf 失败：未找到有效的 http/server 配置块。');
+    return null;
+  }
 
-    // 4. 创建并启动 HTTP 服务
-    nodeHttpServer = http.createServer(async (req, res) => {
-      try {
-        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
-        const pathname = url.pathname;
-        const loc = pickLocation(cfg, pathname);
-        
-        output.appendLine(`[请求] ${req.method} ${pathname} -> 匹配: ${loc?.matcher || 'default'}`);
-
-        if (loc) {
-          if (loc.alias) output.appendLine(`  - alias: ${loc.alias}`);
-          if (loc.root) output.appendLine(`  - root: ${loc.root}`);
-        }
+  // 3. 准备启动参数
+  const listeners = resolveNodeListeners(cfg);
+  const output = ensureOutputChannel(context);
+  if (getShowOutput()) output.show(true);
 
-        // 处理代理
-        if (loc?.proxyPass) {
-          const proxyPass = loc.proxyPass;
-          const proxyUrl = new URL(proxyPass);
-          const hasTrailingSlash = proxyPass.endsWith('/');
-
-          const noProtocol = proxyPass.replace(/^https?:\/\//, '');
-          const slashIndex = noProtocol.indexOf('/');
-          const hasPathInProxyPass = slashIndex !== -1 && slashIndex < noProtocol.length - 1;
-
-          let targetUrlStr;
-          if (hasPathInProxyPass) {
-            let relativePath = pathname;
-            if (loc.kind === 'prefix' && pathname.startsWith(loc.matcher)) {
-              relativePath = pathname.slice(loc.matcher.length);
-            }
-            const rel = String(relativePath || '').replace(/^\/+/, '');
-            const basePath = String(proxyUrl.pathname || '/');
-            const joinedPath = basePath.endsWith('/') ? `${basePath}${rel}` : `${basePath}/${rel}`;
-            targetUrlStr = `${proxyUrl.protocol}//${proxyUrl.host}${joinedPath}${url.search || ''}`;
-          } else if (hasTrailingSlash) {
-            let relativePath = pathname;
-            if (loc.kind === 'prefix' && pathname.startsWith(loc.matcher)) {
-              relativePath = pathname.slice(loc.matcher.length);
-            }
-            const rel = String(relativePath || '').replace(/^\/+/, '');
-            targetUrlStr = `${proxyUrl.protocol}//${proxyUrl.host}/${rel}${url.search || ''}`;
-          } else {
-            targetUrlStr = `${proxyUrl.protocol}//${proxyUrl.host}${req.url}`;
-          }
+  output.appendLine(`> [${new Date().toLocaleTimeString()}] ${action}...`);
+  output.appendLine(`- 配置文件: ${configPath}`);
+  output.appendLine(`- 资源根目录: ${baseDir}`);
+  for (const f of loaded.files.slice(1)) {
+    output.appendLine(`- 已包含: ${f}`);
+  }
+  for (const w of loaded.warnings) {
+    output.appendLine(`[警告] ${w}`);
+  }
+  for (const l of listeners) {
+    output.appendLine(`- 监听地址: ${formatListenAddress(l.host, l.port, l.ssl)}`);
+  }
 
-          proxyRequest(req, res, targetUrlStr, output);
-          return;
+  // 4. 为 HTTPS 监听准备证书；同一端口上的多个 server 块按 SNI 使用各自的证书
+  const tlsByServer = new Map();
+  try {
+    for (const listener of listeners.filter(l => l.ssl)) {
+      for (const srv of listener.servers) {
+        if (tlsByServer.has(srv)) continue;
+        const serverTls = await loadServerTlsOptions(srv, context, output);
+        if (!serverTls) {
+          vscode.window.showErrorMessage(`启动失败：${srv.label} 监听了 ssl 端口，但证书文件不可用。`, '生成自签名证书').then(async (choice) => {
+            if (!choice) return;
+            await getConfig().update('generateDevCertificate', true, vscode.ConfigurationTarget.Workspace);
+            await (nodeHttpServers.length ? nodeReload(context) : nodeStart(context));
+          });
+          return null;
         }
+        tlsByServer.set(srv, serverTls);
+      }
+    }
+  } catch (e) {
+    vscode.window.showErrorMessage(`加载 SSL 证书失败：${e.message}`);
+    return null;
+  }
 
-        // 处理静态文件
-        const rootDir = loc?.alias
-          ? resolvePathInWorkspace(loc.alias)
-          : (loc?.root ? resolvePathInWorkspace(loc.root) : cfg.serverRoot);
-        let filePath;
-        if (loc?.alias) {
-          const aliasDir = rootDir;
-          if (loc.kind === 'prefix') {
-            // alias: 移除匹配的前缀
-            let relative = pathname;
-            if (pathname.startsWith(loc.matcher)) {
-              relative = pathname.slice(loc.matcher.length);
-            }
-            filePath = safeJoin(aliasDir, relative);
-          } else {
-            // 正则匹配下的 alias 处理较为复杂，暂作简单拼接或视为不支持
-            filePath = safeJoin(aliasDir, pathname); 
-          }
-        } else {
-          filePath = safeJoin(rootDir, pathname);
-        }
-        
-        if (!filePath) {
-          res.writeHead(403);
-          res.end('403 Forbidden');
-          return;
-        }
+  return { configPath, files: loaded.files, cfg, listeners, tlsByServer };
+}
 
-        // 尝试寻找文件
-        let targetPath = filePath;
-        output.appendLine(`  - 尝试访问路径: ${targetPath}`);
-        let stats;
-        try {
-          stats = await fs.promises.stat(targetPath);
-          if (stats.isDirectory()) {
-            // 尝试 index 文件
-            let foundIndex = false;
-            for (const idxName of cfg.serverIndex) {
-              const idxPath = path.join(targetPath, idxName);
-              try {
-                const idxStats = await fs.promises.stat(idxPath);
-                if (idxStats.isFile()) {
-                  targetPath = idxPath;
-                  stats = idxStats;
-                  foundIndex = true;
-                  output.appendLine(`  - 找到 index 文件: ${targetPath}`);
-                  break;
-                }
-              } catch {}
-            }
-            
-            // 处理 try_files
-            if (!foundIndex && loc?.tryFiles) {
-              for (const tf of loc.tryFiles) {
-                if (tf.startsWith('/')) {
-                  const tfPath = path.join(rootDir, tf);
-                  try {
-                    const tfStats = await fs.promises.stat(tfPath);
-                    if (tfStats.isFile()) {
-                      targetPath = tfPath;
-                      stats = tfStats;
-                      foundIndex = true;
-                      break;
-                    }
-                  } catch {}
-                }
-              }
-            }
-            
-            if (!foundIndex) {
-              res.writeHead(404);
-              res.end('404 Not Found (Directory index not found)');
-              return;
-            }
-          }
-        } catch { 
-          // 处理 try_files (如果文件不存在)
-          let foundTry = false;
-          if (loc?.tryFiles) {
-            for (const tf of loc.tryFiles) {
-              if (tf.startsWith('/')) {
-                const tfPath = path.join(rootDir, tf);
-                try {
-                  const tfStats = await fs.promises.stat(tfPath);
-                  if (tfStats.isFile()) {
-                    targetPath = tfPath;
-                    stats = tfStats;
-                    foundTry = true;
-                    break;
-                  }
-                } catch {}
-              }
-            }
-          }
-          
-          if (!foundTry) {
-            res.writeHead(404);
-            res.end('404 Not Found');
-            return;
-          }
-        }
+/**
+ * @description 按插件设置确定实际的监听地址：未写主机时使用 nodeHost，覆盖端口只作用于第一个监听
+ * @param {object} cfg buildNodeServerConfigFromAst 的结果
+ * @returns {object[]}
+ */
+function resolveNodeListeners(cfg) {
+  const overridePort = getNodeOverridePort();
+  const defaultHost = getNodeHost();
+  const resolved = cfg.listeners.map((l, i) => ({
+    ...l,
+    host: l.host || defaultHost,
+    port: (i === 0 && overridePort) || l.port || 80
+  }));
 
-        // 读取并返回文件
-        const ext = path.extname(targetPath).toLowerCase();
-        const contentType = MIME_TYPES[ext] || 'application/octet-stream';
-        res.writeHead(200, { 'Content-Type': contentType });
-        fs.createReadStream(targetPath).pipe(res);
+  // 与 nginx 一致：端口上有通配地址时只监听这一个 socket（0.0.0.0 与 :: 视为同一个，Node 按双栈监听 ::），
+  // 同一端口上具体地址的 listen 按连接的本地地址选择各自的 server 块
+  const isWildcard = host => host === '0.0.0.0' || host === '::';
+  const listeners = [];
+  const merged = new Map();
+  for (const l of resolved) {
+    const wildcards = resolved.filter(w => w.port === l.port && isWildcard(w.host));
+    if (!wildcards.length) {
+      listeners.push(l);
+      continue;
+    }
+    let group = merged.get(l.port);
+    if (!group) {
+      const wildcardServers = [];
+      for (const w of wildcards) wildcardServers.push(...w.servers.filter(srv => !wildcardServers.includes(srv)));
+      group = {
+        ...wildcards[0],
+        key: `*:${l.port}`,
+        host: wildcards.some(w => w.host === '::') ? '::' : '0.0.0.0',
+        servers: [],
+        wildcard: { servers: wildcardServers, defaultServer: wildcards[0].defaultServer },
+        addresses: []
+      };
+      merged.set(l.port, group);
+      listeners.push(group);
+    }
+    // 共用一个 socket，任一 listen 带 ssl 时整个端口为 HTTPS
+    if (l.ssl) group.ssl = true;
+    group.servers.push(...l.servers.filter(srv => !group.servers.includes(srv)));
+    if (!isWildcard(l.host)) group.addresses.push(l);
+  }
+  return listeners;
+}
 
-      } catch (err) {
-        output.appendLine(`[错误] 处理请求失败: ${err.message}`);
-        res.writeHead(500);
-        res.end('500 Internal Server Error');
-      }
-    });
+/**
+ * @description 确定连接实际使用的监听配置：通配监听上，本地地址与某个具体地址的 listen 一致时使用它的 server 块
+ * @param {object} listener 监听配置
+ * @param {string} [localAddress] 连接的本地地址
+ * @returns {object}
+ */
+function listenerForAddress(listener, localAddress) {
+  if (!listener.wildcard) return listener;
+  const address = String(localAddress || '').replace(/^::ffff:/, '').replace(/^\[|\]$/g, '');
+  return listener.addresses.find(a => a.host === address) || listener.wildcard;
+}
 
-    nodeHttpServer.on('connection', (socket) => {
-      sockets.add(socket);
-      socket.on('close', () => sockets.delete(socket));
-    });
+/**
+ * @description 为一个监听地址创建 HTTP/HTTPS 服务（尚未开始监听）
+ * 请求到达时才读取 entry.listener 与 entry.tlsByServer，热重载只需替换这两项
+ * @param {object} listener 监听配置
+ * @param {Map<object, object>} tlsByServer 各 server 块的 TLS 参数
+ * @param {vscode.OutputChannel} output 输出通道
+ * @returns {{ server: net.Server, host: string, port: number, ssl: boolean, listener: object, tlsByServer: Map<object, object> }}
+ */
+function createListenerEntry(listener, tlsByServer, output) {
+  const entry = { server: null, host: listener.host, port: listener.port, ssl: !!listener.ssl, listener, tlsByServer };
+  const onRequest = (req, res) => {
+    handleNodeRequest(pickServer(listenerForAddress(entry.listener, req.socket.localAddress), req.headers.host), req, res, output);
+  };
+  const onUpgrade = (req, socket, head) => {
+    handleNodeUpgrade(pickServer(listenerForAddress(entry.listener, req.socket.localAddress), req.headers.host), req, socket, head, output);
+  };
+  if (entry.ssl) {
+    entry.server = createTlsListenerServer(entry, onRequest, onUpgrade, output);
+  } else {
+    entry.server = http.createServer(onRequest);
+    entry.server.on('upgrade', onUpgrade);
+  }
+  entry.server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+  return entry;
+}
 
-    nodeHttpServer.on('error', (e) => {
-      output.appendLine(`[致命错误] 服务异常终止: ${e.message}`);
-      // @ts-ignore
-      if (e.code === 'EADDRINUSE') {
-        vscode.window.showErrorMessage(`启动失败：端口 ${port} 已被占用。`);
-      } else {
+/**
+ * @description 开始监听；监听成功后的异常视为致命错误并停止服务
+ * @param {{ server: net.Server, host: string, port: number, ssl: boolean }} entry 监听项
+ * @param {vscode.OutputChannel} output 输出通道
+ * @returns {Promise<void>}
+ */
+function listenNodeServer(entry, output) {
+  return new Promise((resolve, reject) => {
+    entry.server.once('error', reject);
+    entry.server.listen(entry.port, entry.host, () => {
+      entry.server.off('error', reject);
+      entry.server.on('error', (e) => {
+        output.appendLine(`[致命错误] 服务异常终止: ${e.message}`);
         vscode.window.showErrorMessage(`服务异常终止: ${e.message}`);
-      }
-      nodeStop();
+        nodeStop();
+      });
+      output.appendLine(`[成功] 服务已就绪: ${formatListenAddress(entry.host, entry.port, entry.ssl)}`);
+      resolve();
     });
+  });
+}
 
-    nodeHttpServer.listen(port, host, async () => {
-      output.appendLine(`[成功] 服务已就绪: http://${host}:${port}`);
-      vscode.window.showInformationMessage(`Node Nginx 模拟服务已启动: http://${host}:${port}`);
-      await setNodeUiState('running');
-      updateStatusBar();
-      if (treeDataProvider) treeDataProvider.refresh();
-    });
+/**
+ * @description 描述监听失败的原因
+ * @param {any} e 错误对象
+ * @param {{ host: string, port: number, ssl: boolean }} entry 监听项
+ * @returns {string}
+ */
+function describeListenError(e, entry) {
+  return e?.code === 'EADDRINUSE'
+    ? `端口 ${entry.port} 已被占用`
+    : `${formatListenAddress(entry.host, entry.port, entry.ssl)} 监听失败: ${e?.message || String(e)}`;
+}
+
+/**
+ * @description 监视当前配置及其 include 的文件，保存后自动热重载
+ * @param {vscode.ExtensionContext} context 插件上下文
+ * @param {string[]} files 参与配置的文件
+ */
+function watchNodeConfigFiles(context, files) {
+  unwatchNodeConfigFiles();
+  const onChange = () => {
+    if (configReloadTimer) clearTimeout(configReloadTimer);
+    // 编辑器保存与格式化工具可能连续写入多次，合并为一次重载
+    configReloadTimer = setTimeout(() => {
+      configReloadTimer = undefined;
+      if (nodeHttpServers.length) nodeReload(context);
+    }, 300);
+  };
+  for (const file of files) {
+    const watcher = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(vscode.Uri.file(path.dirname(file)), path.basename(file)));
+    watcher.onDidChange(onChange);
+    watcher.onDidCreate(onChange);
+    watcher.onDidDelete(onChange);
+    configWatchers.push(watcher);
+  }
+}
+
+/**
+ * @description 停止监视配置文件
+ */
+function unwatchNodeConfigFiles() {
+  if (configReloadTimer) clearTimeout(configReloadTimer);
+  configReloadTimer = undefined;
+  for (const watcher of configWatchers) watcher.dispose();
+  configWatchers = [];
+}
+
+/**
+ * @description 核心逻辑：启动 Node HTTP 模拟服务
+ * @param {vscode.ExtensionContext} context 插件上下文
+ */
+async function nodeStart(context) {
+  try {
+    if (nodeHttpServers.length) {
+      vscode.window.showWarningMessage('Node Nginx 模拟服务已在运行。');
+      return;
+    }
+
+    const prepared = await prepareNodeConfig(context, '正在启动服务');
+    if (!prepared) return;
+    const output = ensureOutputChannel(context);
+
+    // 5. 为每个监听地址创建并启动 HTTP/HTTPS 服务
+    nodeHttpServers = prepared.listeners.map(listener => createListenerEntry(listener, prepared.tlsByServer, output));
+    try {
+      await Promise.all(nodeHttpServers.map(entry => listenNodeServer(entry, output).catch((e) => {
+        throw new Error(describeListenError(e, entry));
+      })));
+    } catch (e) {
+      output.appendLine(`[致命错误] 服务异常终止: ${e.message}`);
+      vscode.window.showErrorMessage(`启动失败：${e.message}。`);
+      await nodeStop();
+      return;
+    }
+
+    nodeUpstreams = Object.values(prepared.cfg.upstreams);
+    watchNodeConfigFiles(context, prepared.files);
+    configOutline = undefined;
+    const addresses = nodeHttpServers.map(entry => formatListenAddress(entry.host, entry.port, entry.ssl));
+    vscode.window.showInformationMessage(`Node Nginx 模拟服务已启动: ${addresses.join(', ')}`);
+    await setNodeUiState('running');
+    updateStatusBar();
+    if (treeDataProvider) treeDataProvider.refresh();
   } catch (error) {
     vscode.window.showErrorMessage(`启动服务时发生意外错误: ${error.message}`);
     if (outputChannel) {
@@ -950,6 +6407,112 @@ async function nodeStart(context) {
   }
 }
 
+/**
+ * @description 热重载配置：与 nginx -s reload 一样在不断开现有连接的情况下切换到新配置。
+ * 新配置解析失败时保留当前配置；只有 listen 变化的地址才会重新绑定，其余监听原地替换路由配置
+ * @param {vscode.ExtensionContext} context 插件上下文
+ */
+async function nodeReload(context) {
+  if (!nodeHttpServers.length) {
+    vscode.window.showWarningMessage('Node Nginx 模拟服务未运行。');
+    return;
+  }
+  // 重载期间再次触发时排队，避免两次重载交错修改监听列表
+  if (reloadInProgress) {
+    reloadPending = true;
+    return;
+  }
+  reloadInProgress = true;
+  try {
+    const prepared = await prepareNodeConfig(context, '正在重载配置');
+    const output = ensureOutputChannel(context);
+    if (!prepared) {
+      output.appendLine('[警告] 新配置无效，继续使用当前配置');
+      return;
+    }
+    // 准备期间服务已被停止
+    if (!nodeHttpServers.length) return;
+    const keyOf = (l) => `${l.host}|${l.port}|${l.ssl ? 'ssl' : ''}`;
+    const current = new Map(nodeHttpServers.map(entry => [keyOf(entry), entry]));
+    const wanted = new Set(prepared.listeners.map(keyOf));
+    const removed = nodeHttpServers.filter(entry => !wanted.has(keyOf(entry)));
+    const added = prepared.listeners.filter(l => !current.has(keyOf(l))).map(l => createListenerEntry(l, prepared.tlsByServer, output));
+    // 与将要关闭的监听占用同一端口（如 ssl 开关变化）的新监听，只能在旧监听关闭后绑定
+    const sameAddress = (a, b) => a.host === b.host && a.port === b.port;
+    const fresh = added.filter(entry => !removed.some(old => sameAddress(old, entry)));
+    const rebound = added.filter(entry => !fresh.includes(entry));
+
+    // 先绑定全新的地址；失败则关闭已绑定的部分，整体保留当前配置
+    const failures = [];
+    await Promise.all(fresh.map(entry => listenNodeServer(entry, output).catch(e => failures.push(describeListenError(e, entry)))));
+    if (failures.length) {
+      for (const entry of fresh) {
+        try {
+          entry.server.close();
+        } catch {
+          // 未成功监听的服务无需关闭
+        }
+      }
+      output.appendLine(`[错误] 重载失败：${failures.join('；')}，继续使用当前配置`);
+      vscode.window.showErrorMessage(`重载失败：${failures.join('；')}，继续使用当前配置。`);
+      return;
+    }
+
+    // 原子切换：保留的监听替换路由配置，进行中的请求继续使用它们已选中的旧配置
+    for (const listener of prepared.listeners) {
+      const entry = current.get(keyOf(listener));
+      if (!entry) continue;
+      entry.listener = listener;
+      entry.tlsByServer = prepared.tlsByServer;
+    }
+    // 已不在配置中的监听停止接受新连接，已建立的连接处理完后自然关闭
+    for (const entry of removed) {
+      entry.server.close();
+      output.appendLine(`- 已停止监听: ${formatListenAddress(entry.host, entry.port, entry.ssl)}`);
+    }
+    const keptOrder = prepared.listeners.map(l => current.get(keyOf(l)) || added.find(e => keyOf(e) === keyOf(l)));
+    for (const entry of rebound) {
+      try {
+        await listenNodeServer(entry, output);
+      } catch (e) {
+        failures.push(describeListenError(e, entry));
+        keptOrder.splice(keptOrder.indexOf(entry), 1);
+      }
+    }
+    nodeHttpServers = keptOrder;
+    nodeUpstreams = Object.values(prepared.cfg.upstreams);
+    // 重新打开 access_log，行为与 nginx 重载时一致
+    closeAccessLogs();
+    watchNodeConfigFiles(context, prepared.files);
+    configOutline = undefined;
+
+    if (failures.length) {
+      output.appendLine(`[错误] 部分监听未能启动：${failures.join('；')}`);
+      vscode.window.showErrorMessage(`配置已重载，但部分监听未能启动：${failures.join('；')}`);
+    } else {
+      output.appendLine(`[成功] 配置已重载`);
+      vscode.window.showInformationMessage('Node Nginx 模拟服务已重载配置。');
+    }
+    if (!nodeHttpServers.length) {
+      await nodeStop();
+      return;
+    }
+    updateStatusBar();
+    if (treeDataProvider) treeDataProvider.refresh();
+  } catch (error) {
+    vscode.window.showErrorMessage(`重载配置时发生意外错误: ${error.message}`);
+    if (outputChannel) {
+      outputChannel.appendLine(`[异常] ${error.stack}`);
+    }
+  } finally {
+    reloadInProgress = false;
+    if (reloadPending) {
+      reloadPending = false;
+      if (nodeHttpServers.length) nodeReload(context);
+    }
+  }
+}
+
 /**
  * @description 重启模拟服务
  * @param {vscode.ExtensionContext} context 插件上下文
@@ -977,19 +6540,40 @@ function activate(context) {
       if (e.affectsConfiguration(CONFIG_SECTION)) {
         updateStatusBar();
         if (treeDataProvider) treeDataProvider.refresh();
+        refreshConfigDiagnostics();
       }
     })
   );
 
+  // 在编辑器中显示 nginx 配置的语法与语义问题，并随编辑实时更新
+  configDiagnostics = vscode.languages.createDiagnosticCollection('nginx');
+  context.subscriptions.push(
+    configDiagnostics,
+    vscode.workspace.onDidOpenTextDocument(doc => scheduleConfigDiagnostics(doc, 0)),
+    vscode.workspace.onDidChangeTextDocument(e => scheduleConfigDiagnostics(e.document, 300)),
+    vscode.workspace.onDidSaveTextDocument(doc => scheduleConfigDiagnostics(doc, 0)),
+    // 关闭后改为读取磁盘上的内容，未保存的修改不再参与校验
+    vscode.workspace.onDidCloseTextDocument(doc => scheduleConfigDiagnostics(doc, 0))
+  );
+  refreshConfigDiagnostics();
+
   // 注册插件提供的所有命令
   context.subscriptions.push(
     vscode.commands.registerCommand('nodeHttpNginx.nodeStart', () => nodeStart(context)),
     vscode.commands.registerCommand('nodeHttpNginx.nodeStop', () => nodeStop()),
     vscode.commands.registerCommand('nodeHttpNginx.nodeRestart', () => nodeRestart(context)),
+    vscode.commands.registerCommand('nodeHttpNginx.nodeReload', () => nodeReload(context)),
     vscode.commands.registerCommand('nodeHttpNginx.selectNodeConfig', () => selectNodeConfig()),
     vscode.commands.registerCommand('nodeHttpNginx.openNodeConfig', () => openNodeConfig()),
+    vscode.commands.registerCommand('nodeHttpNginx.openInspector', () => openInspector(context)),
+    vscode.commands.registerCommand('nodeHttpNginx.explainUrl', (input) => explainUrl(context, typeof input === 'string' ? input : undefined)),
     vscode.commands.registerCommand('nodeHttpNginx.openSettings', () => openSettings()),
-    vscode.commands.registerCommand('nodeHttpNginx.openFile', (fp) => openFile(fp))
+    vscode.commands.registerCommand('nodeHttpNginx.openFile', (fp, line) => openFile(fp, line)),
+    vscode.commands.registerCommand('nodeHttpNginx.openOutlineUrl', (item) => openOutlineUrl(item)),
+    vscode.commands.registerCommand('nodeHttpNginx.copyOutlineUrl', (item) => copyOutlineUrl(item)),
+    vscode.commands.registerCommand('nodeHttpNginx.setMockMode', (item) => setMockMode(item)),
+    vscode.commands.registerCommand('nodeHttpNginx.startRecording', () => startRecording(context)),
+    vscode.commands.registerCommand('nodeHttpNginx.stopRecording', () => stopRecording(context))
   );
 }
 
@@ -997,19 +6581,38 @@ function activate(context) {
  * @description 插件停用时的清理逻辑
  */
 function deactivate() {
-  if (nodeHttpServer) {
+  if (diagnosticTimer) clearTimeout(diagnosticTimer);
+  stopHtpasswdWorker(new Error('插件已停用'));
+  if (inspectorFlushTimer) clearTimeout(inspectorFlushTimer);
+  // 尚未写出的 HAR 录制同步保存
+  if (recording?.format === 'har') {
+    clearTimeout(recording.writeTimer);
+    try {
+      fs.mkdirSync(path.dirname(recording.target), { recursive: true });
+      fs.writeFileSync(recording.target, JSON.stringify(recording.har, null, 2));
+    } catch {
+      // 忽略停用时的写入异常
+    }
+    recording = null;
+  }
+  if (nodeHttpServers.length) {
     if (sockets.size > 0) {
       for (const socket of sockets) {
         socket.destroy();
       }
       sockets.clear();
     }
-    try {
-      nodeHttpServer.close();
-    } catch {
-      // 忽略关闭时的异常
+    for (const entry of nodeHttpServers) {
+      try {
+        entry.server.close();
+      } catch {
+        // 忽略关闭时的异常
+      }
     }
-    nodeHttpServer = undefined;
+    nodeHttpServers = [];
+    nodeUpstreams = [];
+    closeAccessLogs();
+    unwatchNodeConfigFiles();
   }
 }
 
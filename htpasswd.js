@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const { isMainThread, parentPort } = require('worker_threads');
+
+// htpasswd 密码校验。bcrypt 等算法计算量较大，插件在 worker 线程中加载本文件，避免阻塞扩展主机
+
+/**
+ * @description htpasswd 中 crypt 格式使用的 base64 字母表
+ */
+const CRYPT_ALPHABET = './0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+/**
+ * @description bcrypt 使用的 base64 字母表（与标准 base64 顺序相同，只是字符不同）
+ */
+const BCRYPT_ALPHABET = './ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const STANDARD_BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * @description SHA-256 / SHA-512 crypt 输出时的字节顺序（每组 3 个字节编码为 4 个字符）
+ */
+const SHA256_CRYPT_ORDER = [[0, 10, 20], [21, 1, 11], [12, 22, 2], [3, 13, 23], [24, 4, 14], [15, 25, 5], [6, 16, 26], [27, 7, 17], [18, 28, 8], [9, 19, 29]];
+const SHA512_CRYPT_ORDER = [
+  [0, 21, 42], [22, 43, 1], [44, 2, 23], [3, 24, 45], [25, 46, 4], [47, 5, 26], [6, 27, 48], [28, 49, 7], [50, 8, 29], [9, 30, 51], [31, 52, 10],
+  [53, 11, 32], [12, 33, 54], [34, 55, 13], [56, 14, 35], [15, 36, 57], [37, 58, 16], [59, 17, 38], [18, 39, 60], [40, 61, 19], [62, 20, 41]
+];
+
+/**
+ * @description 以 crypt 的方式把 3 个字节编码为 n 个字符（低位在前）
+ * @param {number} b2 高位字节
+ * @param {number} b1 中间字节
+ * @param {number} b0 低位字节
+ * @param {number} n 输出字符数
+ * @returns {string}
+ */
+function cryptBase64(b2, b1, b0, n) {
+  let w = (b2 << 16) | (b1 << 8) | b0;
+  let out = '';
+  for (let i = 0; i < n; i++) {
+    out += CRYPT_ALPHABET[w & 0x3f];
+    w >>= 6;
+  }
+  return out;
+}
+
+/**
+ * @description 计算 MD5 crypt（$1$ 与 Apache 的 $apr1$）
+ * @param {Buffer} password 密码
+ * @param {string} setting htpasswd 中保存的值（用于取得 magic 与 salt）
+ * @returns {string}
+ */
+function md5Crypt(password, setting) {
+  const magic = setting.startsWith('$apr1$') ? '$apr1$' : '$1$';
+  const salt = setting.slice(magic.length).split('$')[0].slice(0, 8);
+  const md5 = (...parts) => parts.reduce((h, p) => h.update(p), crypto.createHash('md5')).digest();
+  let final = md5(password, salt, password);
+  const h = crypto.createHash('md5').update(password).update(magic).update(salt);
+  for (let n = password.length; n > 0; n -= 16) h.update(final.subarray(0, Math.min(n, 16)));
+  for (let n = password.length; n; n >>= 1) h.update(n & 1 ? Buffer.alloc(1) : password.subarray(0, 1));
+  final = h.digest();
+  for (let i = 0; i < 1000; i++) {
+    final = md5(i & 1 ? password : final, i % 3 ? salt : '', i % 7 ? password : '', i & 1 ? final : password);
+  }
+  const encoded = [[0, 6, 12], [1, 7, 13], [2, 8, 14], [3, 9, 15], [4, 10, 5]].map(([a, b, c]) => cryptBase64(final[a], final[b], final[c], 4)).join('');
+  return `${magic}${salt}$${encoded}${cryptBase64(0, 0, final[11], 2)}`;
+}
+
+/**
+ * @description 支持的最大 bcrypt 代价，与 htpasswd -B -C 的上限一致
+ */
+const BCRYPT_MAX_COST = 17;
+
+/**
+ * @description 支持的最大 SHA-crypt rounds，更大的值校验一次需要数十秒
+ */
+const SHA_CRYPT_MAX_ROUNDS = 1000000;
+
+/**
+ * @description 计算 SHA-256（$5$）/ SHA-512（$6$）crypt，支持 rounds=N
+ * @param {Buffer} password 密码
+ * @param {string} setting htpasswd 中保存的值
+ * @returns {string}
+ */
+function shaCrypt(password, setting) {
+  const m = setting.match(/^\$([56])\$(?:rounds=(\d+)\$)?([^$]{0,16})/);
+  if (!m) return '';
+  const algorithm = m[1] === '5' ? 'sha256' : 'sha512';
+  const rounds = m[2] === undefined ? 5000 : Math.min(Math.max(parseInt(m[2], 10), 1000), 999999999);
+  const salt = Buffer.from(m[3]);
+  const empty = Buffer.alloc(0);
+  const digest = (...parts) => parts.reduce((h, p) => h.update(p), crypto.createHash(algorithm)).digest();
+  // 把 block 重复到 length 个字节
+  const repeat = (block, length) => Buffer.concat(Array(Math.ceil(length / block.length)).fill(block)).subarray(0, length);
+
+  const b = digest(password, salt, password);
+  const a = crypto.createHash(algorithm).update(password).update(salt).update(repeat(b, password.length));
+  for (let n = password.length; n; n >>= 1) a.update(n & 1 ? b : password);
+  let c = a.digest();
+  const p = repeat(digest(...Array(password.length).fill(password)), password.length);
+  const s = repeat(digest(...Array(16 + c[0]).fill(salt)), salt.length);
+  for (let i = 0; i < rounds; i++) {
+    c = digest(i & 1 ? p : c, i % 3 ? s : empty, i % 7 ? p : empty, i & 1 ? c : p);
+  }
+
+  const order = algorithm === 'sha256' ? SHA256_CRYPT_ORDER : SHA512_CRYPT_ORDER;
+  const tail = algorithm === 'sha256' ? cryptBase64(0, c[31], c[30], 3) : cryptBase64(0, 0, c[63], 2);
+  const encoded = order.map(([x, y, z]) => cryptBase64(c[x], c[y], c[z], 4)).join('') + tail;
+  return `$${m[1]}$${m[2] === undefined ? '' : `rounds=${rounds}$`}${m[3]}$${encoded}`;
+}
+
+/**
+ * @description Blowfish 的初始 P 数组与 S 盒（π 小数部分的前 1042 个 32 位字），首次使用 bcrypt 时计算
+ * @type {Uint32Array | undefined}
+ */
+let blowfishInitialState;
+
+/**
+ * @description 获取 Blowfish 的初始状态：按 Machin 公式 π = 16·arctan(1/5) − 4·arctan(1/239) 用 BigInt 计算
+ * @returns {Uint32Array}
+ */
+function getBlowfishInitialState() {
+  if (blowfishInitialState) return blowfishInitialState;
+  const count = 18 + 4 * 256;
+  // 多算 64 位以抵消截断误差
+  const bits = BigInt(count * 32 + 64);
+  const one = 1n << bits;
+  const arctanInv = (/** @type {bigint} */ x) => {
+    let sum = 0n;
+    let power = one / x;
+    for (let n = 1n; power; n += 2n) {
+      sum += (n & 2n ? -power : power) / n;
+      power /= x * x;
+    }
+    return sum;
+  };
+  const fraction = 16n * arctanInv(5n) - 4n * arctanInv(239n) - (3n << bits);
+  blowfishInitialState = new Uint32Array(count);
+  for (let i = 0; i < count; i++) {
+    blowfishInitialState[i] = Number((fraction >> (bits - 32n * BigInt(i + 1))) & 0xffffffffn);
+  }
+  return blowfishInitialState;
+}
+
+/**
+ * @description 计算 bcrypt（$2a$、$2b$、$2y$）
+ * @param {Buffer} password 密码
+ * @param {string} setting htpasswd 中保存的值
+ * @returns {string}
+ */
+function bcryptHash(password, setting) {
+  const m = setting.match(/^\$2[abxy]\$(\d{2})\$([./A-Za-z0-9]{22})/);
+  const cost = m ? parseInt(m[1], 10) : 0;
+  if (cost < 4 || cost > 31) return '';
+  const translate = (text, from, to) => Array.from(text, ch => to[from.indexOf(ch)]).join('');
+  const salt = Buffer.from(translate(m[2], BCRYPT_ALPHABET, STANDARD_BASE64_ALPHABET), 'base64');
+  // 密码末尾补 \0，最多使用 72 个字节
+  const key = Buffer.concat([password, Buffer.alloc(1)]).subarray(0, 72);
+
+  const initial = getBlowfishInitialState();
+  const P = initial.slice(0, 18);
+  const S = initial.slice(18);
+  const F = x => (((S[x >>> 24] + S[256 | ((x >>> 16) & 0xff)]) ^ S[512 | ((x >>> 8) & 0xff)]) + S[768 | (x & 0xff)]) | 0;
+  const encipher = (data, offset) => {
+    let l = data[offset] ^ P[0];
+    let r = data[offset + 1];
+    for (let i = 1; i <= 16; i += 2) {
+      r ^= F(l) ^ P[i];
+      l ^= F(r) ^ P[i + 1];
+    }
+    data[offset] = r ^ P[17];
+    data[offset + 1] = l;
+  };
+  // 循环读取 4 个字节组成一个字
+  const stream = bytes => {
+    let pos = 0;
+    return () => {
+      let word = 0;
+      for (let i = 0; i < 4; i++) {
+        word = (word << 8) | bytes[pos];
+        pos = (pos + 1) % bytes.length;
+      }
+      return word;
+    };
+  };
+  const expand = (keyBytes, saltBytes) => {
+    const nextKey = stream(keyBytes);
+    for (let i = 0; i < 18; i++) P[i] ^= nextKey();
+    const nextSalt = saltBytes ? stream(saltBytes) : () => 0;
+    const block = new Uint32Array(2);
+    const fill = (box, length) => {
+      for (let i = 0; i < length; i += 2) {
+        block[0] ^= nextSalt();
+        block[1] ^= nextSalt();
+        encipher(block, 0);
+        box[i] = block[0];
+        box[i + 1] = block[1];
+      }
+    };
+    fill(P, 18);
+    fill(S, 1024);
+  };
+
+  expand(key, salt);
+  for (let i = 0; i < 2 ** cost; i++) {
+    expand(key, null);
+    expand(salt, null);
+  }
+  const text = Buffer.from('OrpheanBeholderScryDoubt');
+  const words = new Uint32Array(6).map((_, i) => text.readUInt32BE(i * 4));
+  for (let i = 0; i < 64; i++) {
+    for (let j = 0; j < 6; j += 2) encipher(words, j);
+  }
+  const out = Buffer.alloc(24);
+  words.forEach((w, i) => out.writeUInt32BE(w, i * 4));
+  const encoded = translate(out.subarray(0, 23).toString('base64').replace(/=+$/, ''), STANDARD_BASE64_ALPHABET, BCRYPT_ALPHABET);
+  return `${setting.slice(0, 29)}${encoded}`;
+}
+
+/**
+ * @description 按 htpasswd 中保存的格式校验密码：{PLAIN}、{SHA}、{SSHA}、$apr1$ / $1$（MD5）、$5$ / $6$（SHA-256/512）、$2y$ 等（bcrypt）
+ * @param {string} password 客户端提供的密码
+ * @param {string} stored htpasswd 中保存的值
+ * @returns {boolean | null} 不支持的格式（如传统 DES crypt）或代价超出上限时返回 null
+ */
+function verifyHtpasswdPassword(password, stored) {
+  const pw = Buffer.from(password, 'utf8');
+  const equal = (a, b) => {
+    const x = Buffer.from(a);
+    const y = Buffer.from(b);
+    return x.length === y.length && crypto.timingSafeEqual(x, y);
+  };
+  if (stored.startsWith('{PLAIN}')) return equal(pw, stored.slice(7));
+  if (stored.startsWith('{SHA}')) return equal(crypto.createHash('sha1').update(pw).digest('base64'), stored.slice(5));
+  if (stored.startsWith('{SSHA}')) {
+    const raw = Buffer.from(stored.slice(6), 'base64');
+    if (raw.length <= 20) return false;
+    return equal(crypto.createHash('sha1').update(pw).update(raw.subarray(20)).digest(), raw.subarray(0, 20));
+  }
+  if (/^\$(apr1|1)\$/.test(stored)) return equal(md5Crypt(pw, stored), stored);
+  // 代价过高的 bcrypt / SHA-crypt 按不支持处理，避免一条记录长时间占用校验线程
+  if (/^\$[56]\$/.test(stored)) {
+    const rounds = stored.match(/^\$[56]\$rounds=(\d+)\$/);
+    if (rounds && parseInt(rounds[1], 10) > SHA_CRYPT_MAX_ROUNDS) return null;
+    return equal(shaCrypt(pw, stored), stored);
+  }
+  if (/^\$2[abxy]\$\d{2}\$[./A-Za-z0-9]{53}$/.test(stored)) {
+    if (parseInt(stored.slice(4, 6), 10) > BCRYPT_MAX_COST) return null;
+    return equal(bcryptHash(pw, stored), stored);
+  }
+  return null;
+}
+
+// 作为 worker 运行时，按 { id, password, stored } 逐条校验并回传 { id, result }
+if (!isMainThread && parentPort) {
+  const port = parentPort;
+  port.on('message', ({ id, password, stored }) => {
+    port.postMessage({ id, result: verifyHtpasswdPassword(password, stored) });
+  });
+}
+
+module.exports = { verifyHtpasswdPassword };
@@ -0,0 +1,151 @@
+const Module = require('module');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const net = require('net');
+
+// 用最小的 vscode 替身加载插件，通过真实的 HTTP 请求检查 auth_basic
+// 用法：node test_auth.js
+const settings = { nodeHost: '127.0.0.1', showCommandOutput: false };
+const logs = [];
+const commands = {};
+const stub = new Proxy(function () {}, {
+  get: (_target, key) => (key === 'then' ? undefined : stub),
+  apply: () => stub,
+  construct: () => stub
+});
+const overrides = {
+  workspace: new Proxy({}, {
+    get: (_target, key) => {
+      if (key === 'getConfiguration') return () => ({ get: k => settings[k], update: async (k, v) => { settings[k] = v; } });
+      if (key === 'workspaceFolders') return [{ uri: { fsPath: settings.root } }];
+      return stub;
+    }
+  }),
+  window: new Proxy({}, {
+    get: (_target, key) => {
+      if (key === 'createOutputChannel') return () => ({ appendLine: line => logs.push(line), append: () => {}, show: () => {}, clear: () => {}, dispose: () => {} });
+      if (/^show\w+Message$/.test(key)) return async message => { logs.push(message); };
+      return stub;
+    }
+  }),
+  commands: { registerCommand: (id, fn) => { commands[id] = fn; return stub; }, executeCommand: async () => undefined }
+};
+const vscode = new Proxy({}, { get: (_target, key) => overrides[key] || stub });
+const originalLoad = Module._load;
+Module._load = function (request, ...rest) {
+  return request === 'vscode' ? vscode : originalLoad.call(this, request, ...rest);
+};
+const extension = require('./extension.js');
+
+function freePort() {
+  return new Promise(resolve => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function request(port, urlPath, credentials) {
+  const headers = credentials ? { authorization: `Basic ${Buffer.from(credentials).toString('base64')}` } : {};
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path: urlPath, headers }, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, challenge: res.headers['www-authenticate'] || '', body }));
+    }).on('error', reject);
+  });
+}
+
+let failed = 0;
+function check(name, actual, expected) {
+  const ok = actual === expected;
+  if (!ok) failed++;
+  console.log(`${ok ? 'ok  ' : 'FAIL'} ${name}${ok ? '' : `: 期望 ${JSON.stringify(expected)}，实际 ${JSON.stringify(actual)}`}`);
+}
+
+async function main() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'node-http-nginx-auth-'));
+  const port = await freePort();
+  let backendHits = 0;
+  const backend = http.createServer((req, res) => {
+    backendHits++;
+    res.end(`backend ${req.url}`);
+  });
+  await new Promise(resolve => backend.listen(0, '127.0.0.1', resolve));
+
+  fs.mkdirSync(path.join(root, 'html'));
+  fs.writeFileSync(path.join(root, 'html', 'index.html'), 'index');
+  fs.writeFileSync(path.join(root, 'htpasswd'), 'alice:{PLAIN}wonder\nbob:$2a$05$CCCCCCCCCCCCCCCCCCCCC.E5YPO9kmyuRGyh0XouQYb4YMJKvyOeW\n');
+  fs.writeFileSync(path.join(root, 'nginx.conf'), `
+events {}
+http {
+  server {
+    listen 127.0.0.1:${port};
+    root html;
+    location /admin/ {
+      auth_basic "Admin";
+      auth_basic_user_file htpasswd;
+      try_files $uri /index.html;
+    }
+    location /app/ {
+      auth_basic "App";
+      auth_basic_user_file htpasswd;
+      try_files $uri @app;
+    }
+    location @app {
+      proxy_pass http://127.0.0.1:${backend.address().port};
+    }
+    location / { }
+  }
+}
+`);
+  settings.root = root;
+  settings.nodeConfigPath = path.join(root, 'nginx.conf');
+
+  extension.activate({ subscriptions: [], globalStorageUri: { fsPath: path.join(root, '.storage') }, extensionUri: { fsPath: __dirname } });
+  await commands['nodeHttpNginx.nodeStart']();
+
+  try {
+    // try_files 回退到其他 location 之前先校验 auth_basic
+    let res = await request(port, '/admin/secret');
+    check('try_files 回退到 /index.html：无凭据返回 401', res.status, 401);
+    check('try_files 回退到 /index.html：返回 WWW-Authenticate', res.challenge, 'Basic realm="Admin"');
+    res = await request(port, '/admin/secret', 'alice:wonder');
+    check('try_files 回退到 /index.html：凭据正确时返回回退页面', `${res.status} ${res.body}`, '200 index');
+
+    res = await request(port, '/app/orders');
+    check('try_files 回退到 @app：无凭据返回 401', res.status, 401);
+    check('try_files 回退到 @app：请求没有到达上游', backendHits, 0);
+    res = await request(port, '/app/orders', 'alice:wrong');
+    check('try_files 回退到 @app：密码错误返回 401', res.status, 401);
+    res = await request(port, '/app/orders', 'alice:wonder');
+    check('try_files 回退到 @app：凭据正确时转发到上游', `${res.status} ${res.body}`, '200 backend /app/orders');
+
+    // bcrypt 在 worker 线程中校验
+    res = await request(port, '/admin/secret', 'bob:U*U');
+    check('bcrypt 用户：凭据正确时返回回退页面', `${res.status} ${res.body}`, '200 index');
+    res = await request(port, '/admin/secret', 'bob:U*V');
+    check('bcrypt 用户：密码错误返回 401', res.status, 401);
+
+    res = await request(port, '/index.html');
+    check('未启用 auth_basic 的 location 不需要凭据', res.status, 200);
+  } finally {
+    await commands['nodeHttpNginx.nodeStop']();
+    extension.deactivate();
+    backend.close();
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+
+  if (failed) {
+    console.log(logs.join('\n'));
+    process.exitCode = 1;
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,58 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { verifyHtpasswdPassword } = require('./htpasswd.js');
+
+// 用已知向量检查 htpasswd 各密码格式的校验，并确认 worker 线程的消息协议
+// 用法：node test_htpasswd.js
+const vectors = [
+  ['{PLAIN}', 'wonder', '{PLAIN}wonder'],
+  ['{SHA}', 'secret', '{SHA}5en6G6MezRroT3XKqkdPOmY/BfQ='],
+  ['{SSHA}', 'secret', '{SSHA}Wcm1xEisNjqp921ALcHfuQ7avFdzYWx0MTIzNA=='],
+  ['$apr1$', 'apache', '$apr1$r31.....$3/QVO0yQLRB3YYTVuT08z.'],
+  ['$1$', 'password', '$1$saltsalt$qjXMvbEw8oaL.CzflDtaK/'],
+  ['$5$', 'Hello world!', '$5$saltstring$5B8vYYiY.CVt1RlTTf8KbXBH3hsxY/GNooZaBBGWEc5'],
+  ['$5$ rounds=10000', 'Hello world!', '$5$rounds=10000$saltstringsaltst$3xv.VbSHBb41AL9AvLeujZkZRBAwqFMz2.opqey6IcA'],
+  ['$6$', 'Hello world!', '$6$saltstring$svn8UoSVapNtMuq1ukKS4tPQd8iKwSMHWjl/O817G3uBnIFNjnQJuesI68u4OTLiBFdcbYEdFCoEOfaS35inz1'],
+  ['$6$ rounds=5000', 'Hello world!', '$6$rounds=5000$toolongsaltstrin$iGlL7EUUfzNQx59x3ydJZ.zXPMUu1dOynSEl/vcNhLlas77qD0DzRswhhB6LdrXTz250at0syAfUXra.XrxAI1'],
+  ['$2a$', 'U*U', '$2a$05$CCCCCCCCCCCCCCCCCCCCC.E5YPO9kmyuRGyh0XouQYb4YMJKvyOeW'],
+  ['$2a$ 空密码', '', '$2a$05$CCCCCCCCCCCCCCCCCCCCC.7uG0VCzI2bS7j6ymqJi9CdcdxiRTWNy'],
+  ['$2y$', 'U*U', '$2y$05$CCCCCCCCCCCCCCCCCCCCC.E5YPO9kmyuRGyh0XouQYb4YMJKvyOeW']
+];
+
+let failed = 0;
+function check(name, actual, expected) {
+  const ok = actual === expected;
+  if (!ok) failed++;
+  console.log(`${ok ? 'ok  ' : 'FAIL'} ${name}${ok ? '' : `: 期望 ${JSON.stringify(expected)}，实际 ${JSON.stringify(actual)}`}`);
+}
+
+async function main() {
+  for (const [name, password, stored] of vectors) {
+    check(`${name}：密码正确`, verifyHtpasswdPassword(password, stored), true);
+    check(`${name}：密码错误`, verifyHtpasswdPassword(`${password}x`, stored), false);
+  }
+  check('crypt(3) DES 格式不受支持', verifyHtpasswdPassword('password', 'saA5kOAbqg3PQ'), null);
+  check('bcrypt 代价超过 17 不受支持', verifyHtpasswdPassword('U*U', '$2a$18$CCCCCCCCCCCCCCCCCCCCC.E5YPO9kmyuRGyh0XouQYb4YMJKvyOeW'), null);
+  check('SHA-crypt rounds 超过 1000000 不受支持', verifyHtpasswdPassword('Hello world!', '$6$rounds=1000001$saltstring$svn8UoSVapNtMuq1ukKS4tPQd8iKwSMHWjl/O817G3uBnIFNjnQJuesI68u4OTLiBFdcbYEdFCoEOfaS35inz1'), null);
+  check('{SSHA} 缺少盐值', verifyHtpasswdPassword('secret', '{SSHA}AAAA'), false);
+
+  // 插件通过 worker 线程校验，消息格式为 { id, password, stored } -> { id, result }
+  const worker = new Worker(path.join(__dirname, 'htpasswd.js'));
+  try {
+    const reply = await new Promise((resolve, reject) => {
+      worker.once('message', resolve);
+      worker.once('error', reject);
+      worker.postMessage({ id: 7, password: 'U*U', stored: vectors[9][2] });
+    });
+    check('worker 线程返回校验结果', JSON.stringify(reply), JSON.stringify({ id: 7, result: true }));
+  } finally {
+    await worker.terminate();
+  }
+
+  if (failed) process.exitCode = 1;
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exitCode = 1;
+});